@@ -19,6 +19,141 @@
         INLINE: 'inline'
     };
 
+    const SIGNATURE_STATUS = {
+        VALID: 'valid',
+        INVALID: 'invalid',
+        UNKNOWN_KEY: 'unknown-key',
+        POLICY_REJECTED: 'policy-rejected'
+    };
+
+    const SIGNATURE_STATUS_LABELS = {
+        [SIGNATURE_STATUS.VALID]: '✓ Valid',
+        [SIGNATURE_STATUS.INVALID]: '✗ Invalid',
+        [SIGNATURE_STATUS.UNKNOWN_KEY]: '? Unknown key (not loaded)',
+        [SIGNATURE_STATUS.POLICY_REJECTED]: '✗ Rejected by policy'
+    };
+
+    const KEY_VALIDITY = {
+        VALID: 'valid',
+        EXPIRED_NOW: 'expired-now',
+        REVOKED_NOW: 'revoked-now',
+        SIGNED_AFTER_EXPIRY: 'signed-after-expiry',
+        SIGNED_AFTER_REVOCATION: 'signed-after-revocation',
+        REVOKED_COMPROMISED: 'revoked-compromised',
+        BINDING_INVALID: 'binding-invalid'
+    };
+
+    const KEY_VALIDITY_LABELS = {
+        [KEY_VALIDITY.VALID]: 'Valid signature, key valid',
+        [KEY_VALIDITY.EXPIRED_NOW]: 'Valid signature, key now expired',
+        [KEY_VALIDITY.REVOKED_NOW]: 'Valid signature, key since revoked',
+        [KEY_VALIDITY.SIGNED_AFTER_EXPIRY]: 'Signed after key expired',
+        [KEY_VALIDITY.SIGNED_AFTER_REVOCATION]: 'Signed after revocation',
+        [KEY_VALIDITY.REVOKED_COMPROMISED]: 'Key revoked as compromised',
+        [KEY_VALIDITY.BINDING_INVALID]: 'Signing subkey not validly bound to primary key'
+    };
+
+    // Revocation reasons that only apply from the revocation date onwards (RFC 4880 5.2.3.23)
+    const SOFT_REVOCATION_REASONS = [1, 3, 32]; // key superseded, key retired, user ID invalid
+
+    // Key flags from the self-signature or subkey binding signature (RFC 4880 5.2.3.21)
+    const KEY_CAPABILITIES = [
+        { flag: 0x01, label: 'Certify' },
+        { flag: 0x02, label: 'Sign' },
+        { flag: 0x04, label: 'Encrypt communications' },
+        { flag: 0x08, label: 'Encrypt storage' },
+        { flag: 0x20, label: 'Authenticate' }
+    ];
+
+    const PUBLIC_KEY_ALGORITHM_LABELS = {
+        rsaEncryptSign: 'RSA',
+        rsaEncrypt: 'RSA (encrypt only)',
+        rsaSign: 'RSA (sign only)',
+        elgamal: 'ElGamal',
+        dsa: 'DSA',
+        ecdh: 'ECDH',
+        ecdsa: 'ECDSA',
+        eddsaLegacy: 'EdDSA',
+        ed25519: 'Ed25519',
+        ed448: 'Ed448',
+        x25519: 'X25519',
+        x448: 'X448'
+    };
+
+    const HASH_ALGORITHM_LABELS = {
+        md5: 'MD5',
+        sha1: 'SHA-1',
+        ripemd: 'RIPEMD-160',
+        sha224: 'SHA-224',
+        sha256: 'SHA-256',
+        sha384: 'SHA-384',
+        sha512: 'SHA-512',
+        sha3_256: 'SHA3-256',
+        sha3_512: 'SHA3-512'
+    };
+
+    const AUDIT_SEVERITY = {
+        WEAK: 'weak',
+        DEPRECATED: 'deprecated'
+    };
+
+    const WEAK_HASH_ALGORITHMS = {
+        md5: { severity: AUDIT_SEVERITY.WEAK, message: 'MD5 signature hash is broken (practical collisions)' },
+        sha1: { severity: AUDIT_SEVERITY.WEAK, message: 'SHA-1 signature hash is deprecated (chosen-prefix collisions)' },
+        ripemd: { severity: AUDIT_SEVERITY.DEPRECATED, message: 'RIPEMD-160 signature hash is deprecated' }
+    };
+
+    const MIN_RSA_BITS = 2048;
+    const MIN_DSA_BITS = 2048;
+    const ELGAMAL_ALGORITHM_IDS = [16, 20]; // Encrypt-only and the withdrawn encrypt-or-sign variant
+
+    const POLICY_ACTIONS = {
+        REJECT: 'reject',
+        WARN: 'warn'
+    };
+
+    // Verification policy profiles. Each rule either rejects a cryptographically
+    // valid signature or reports it as a warning; lenient also lets OpenPGP.js
+    // accept legacy algorithms it rejects by default so they can be reported.
+    const POLICY_PROFILES = {
+        strict: {
+            label: 'Strict',
+            description: 'Requires a pinned or known key fingerprint; rejects weak algorithms and expired or revoked keys.',
+            requireKnownFingerprint: true,
+            weakAlgorithms: POLICY_ACTIONS.REJECT,
+            keyLifecycle: POLICY_ACTIONS.REJECT,
+            allowLegacyAlgorithms: false
+        },
+        standard: {
+            label: 'Standard',
+            description: 'Rejects weak algorithms; warns about expired or revoked keys.',
+            requireKnownFingerprint: false,
+            weakAlgorithms: POLICY_ACTIONS.REJECT,
+            keyLifecycle: POLICY_ACTIONS.WARN,
+            allowLegacyAlgorithms: false
+        },
+        lenient: {
+            label: 'Lenient',
+            description: 'Accepts legacy algorithms such as SHA-1; reports weak algorithms and expired or revoked keys as warnings.',
+            requireKnownFingerprint: false,
+            weakAlgorithms: POLICY_ACTIONS.WARN,
+            keyLifecycle: POLICY_ACTIONS.WARN,
+            allowLegacyAlgorithms: true
+        }
+    };
+
+    const DEFAULT_POLICY_PROFILE = 'standard';
+
+    const EXPECTED_FINGERPRINT_HINT = 'Spaces, lowercase, 0x prefixes and 16-character long key IDs are accepted. The signing key must match for a fully green result.';
+
+    // Accepted lengths for an expected (pinned) fingerprint, in hex characters
+    const PIN_KINDS = {
+        16: 'long key ID',
+        40: 'v4 fingerprint',
+        64: 'v6 fingerprint'
+    };
+    const LEGACY_MIN_RSA_BITS = 1024;
+
     const FEEDBACK_TYPES = {
         SUCCESS: 'success',
         ERROR: 'error',
@@ -53,7 +188,10 @@
         detachedSignature: null, // Store detached signature file
         dataFile: null, // Store data file for detached signature
         isVerifying: false,
-        verificationAborted: false // Track if verification was aborted by user
+        verificationAborted: false, // Track if verification was aborted by user
+        policyProfile: DEFAULT_POLICY_PROFILE,
+        expectedFingerprint: null, // Normalized pin from normalizeFingerprint(), or null
+        ownertrust: null // { name, entries } from an imported gpg ownertrust export, or null
     };
 
     // ============================================================================
@@ -66,6 +204,11 @@
         keyTextArea: document.getElementById('key-text'),
         keyInfo: document.getElementById('key-info'),
         clearKeyBtn: document.getElementById('clear-key'),
+        expectedFingerprintInput: document.getElementById('expected-fingerprint'),
+        expectedFingerprintHint: document.getElementById('expected-fingerprint-hint'),
+        ownertrustFileInput: document.getElementById('ownertrust-file'),
+        ownertrustInfo: document.getElementById('ownertrust-info'),
+        clearOwnertrustBtn: document.getElementById('clear-ownertrust'),
 
         // Signed File Inputs
         signedFileInput: document.getElementById('signed-file'),
@@ -86,6 +229,8 @@
         themeToggleLabel: document.getElementById('theme-toggle-label'),
         appStatus: document.getElementById('app-status'),
         appStatusBadge: document.getElementById('app-status-badge'),
+        appStatusPolicy: document.getElementById('app-status-policy'),
+        policySelect: document.getElementById('policy-profile'),
         appStatusDetail: document.getElementById('app-status-detail'),
         resultContainer: document.getElementById('result-container'),
         result: document.getElementById('result'),
@@ -136,6 +281,16 @@
         return `${year}-${month}-${day}`;
     }
 
+    /**
+     * Formats a date with time of day in UTC
+     * @param {Date} date - The date to format
+     * @returns {string} Formatted date string, e.g. "2025-01-31 14:05:09 UTC"
+     */
+    function formatDateTime(date) {
+        if (!date) return 'Unknown';
+        return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    }
+
     /**
      * Escapes HTML special characters before rendering untrusted text
      * @param {string} value - The value to escape
@@ -150,6 +305,38 @@
             .replace(/'/g, '&#39;');
     }
 
+    /**
+     * Normalizes a fingerprint or long key ID copied from a website
+     * Strips whitespace, colons and 0x prefixes and uppercases the result.
+     * @param {string} input - Raw fingerprint text
+     * @returns {object|null} { value, kind } on success, { error } on bad input, or null if empty
+     */
+    function normalizeFingerprint(input) {
+        const value = String(input || '')
+            .replace(/\b0x/gi, '')
+            .replace(/[\s:]/g, '')
+            .toUpperCase();
+
+        if (!value) return null;
+
+        if (!/^[0-9A-F]+$/.test(value)) {
+            return { error: 'Fingerprints may only contain hexadecimal characters (0-9, A-F).' };
+        }
+        if (!PIN_KINDS[value.length]) {
+            return { error: `Expected 16 (long key ID), 40 (v4) or 64 (v6) hex characters, got ${value.length}.` };
+        }
+        return { value, kind: PIN_KINDS[value.length] };
+    }
+
+    /**
+     * Formats a hex fingerprint in groups of four for reading aloud
+     * @param {string} hex - Fingerprint or key ID
+     * @returns {string} e.g. "ABCD 1234 ..."
+     */
+    function formatFingerprint(hex) {
+        return String(hex).match(/.{1,4}/g).join(' ');
+    }
+
     /**
      * Gets detailed summary for a GPG key
      * @param {object} keyObject - OpenPGP.js key object
@@ -186,6 +373,166 @@
         }
     }
 
+    /**
+     * Finds the loaded key holding the key that made a signature
+     * Matches the primary key and every subkey, so subkey signatures resolve too.
+     * @param {Array<object>} keys - Loaded OpenPGP.js public keys
+     * @param {object} keyID - Issuer key ID from the signature
+     * @returns {object|null} Object with primaryKey and signingKey (primary key or subkey), or null
+     */
+    function findSigningKey(keys, keyID) {
+        if (!keyID || !keys) return null;
+
+        for (const primaryKey of keys) {
+            const signingKey = primaryKey.getKeys(keyID)[0];
+            if (signingKey) {
+                return { primaryKey, signingKey };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Formats public-key algorithm information for display
+     * @param {object} algorithmInfo - Result of getAlgorithmInfo() on a key or subkey
+     * @returns {string} e.g. "RSA 4096-bit" or "EdDSA (ed25519Legacy)"
+     */
+    function formatAlgorithm(algorithmInfo) {
+        const name = PUBLIC_KEY_ALGORITHM_LABELS[algorithmInfo.algorithm] || algorithmInfo.algorithm;
+        if (algorithmInfo.bits) {
+            return `${name} ${algorithmInfo.bits}-bit`;
+        }
+        if (algorithmInfo.curve) {
+            return `${name} (${algorithmInfo.curve})`;
+        }
+        return name;
+    }
+
+    /**
+     * Reads an OpenPGP.js enum name without throwing on unknown values
+     * @param {object} enumType - e.g. openpgp.enums.hash
+     * @param {number} value - Numeric algorithm ID
+     * @returns {string|null} Enum name or null if unknown
+     */
+    function readEnumName(enumType, value) {
+        try {
+            return openpgp.enums.read(enumType, value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Audits the algorithms behind a signature: the hash algorithm, the
+     * public-key algorithm and, when the key is loaded, its size or curve
+     * @param {object} signaturePacket - OpenPGP.js signature packet
+     * @param {object|null} signingKey - Primary key or subkey that made the signature, if loaded
+     * @returns {object} Algorithm labels plus a list of findings with severity from AUDIT_SEVERITY
+     */
+    function auditAlgorithms(signaturePacket, signingKey) {
+        const findings = [];
+
+        const hashName = readEnumName(openpgp.enums.hash, signaturePacket.hashAlgorithm);
+        const hashAlgorithm = HASH_ALGORITHM_LABELS[hashName] || `Unknown (ID ${signaturePacket.hashAlgorithm})`;
+        if (WEAK_HASH_ALGORITHMS[hashName]) {
+            findings.push(WEAK_HASH_ALGORITHMS[hashName]);
+        }
+
+        const algorithmID = signaturePacket.publicKeyAlgorithm;
+        const algorithmInfo = signingKey
+            ? signingKey.getAlgorithmInfo()
+            : { algorithm: readEnumName(openpgp.enums.publicKey, algorithmID) || `Unknown (ID ${algorithmID})` };
+        const publicKeyAlgorithm = formatAlgorithm(algorithmInfo);
+
+        if (ELGAMAL_ALGORITHM_IDS.includes(algorithmID)) {
+            findings.push({ severity: AUDIT_SEVERITY.WEAK, message: 'ElGamal signatures are insecure and no longer part of OpenPGP' });
+        } else if (algorithmInfo.algorithm.startsWith('rsa') && algorithmInfo.bits && algorithmInfo.bits < MIN_RSA_BITS) {
+            findings.push({ severity: AUDIT_SEVERITY.WEAK, message: `RSA key is only ${algorithmInfo.bits} bits (minimum ${MIN_RSA_BITS})` });
+        } else if (algorithmInfo.algorithm === 'dsa') {
+            if (algorithmInfo.bits && algorithmInfo.bits < MIN_DSA_BITS) {
+                findings.push({ severity: AUDIT_SEVERITY.WEAK, message: `DSA-${algorithmInfo.bits} key is too small to resist current attacks` });
+            } else {
+                findings.push({ severity: AUDIT_SEVERITY.DEPRECATED, message: 'DSA is deprecated for new signatures (RFC 9580)' });
+            }
+        }
+
+        return { hashAlgorithm, publicKeyAlgorithm, findings };
+    }
+
+    /**
+     * Describes the key that made a signature: its ID, algorithm, capabilities
+     * and, for subkeys, the primary key it belongs to
+     * @param {object} primaryKey - OpenPGP.js primary key
+     * @param {object} signingKey - The primary key itself or one of its subkeys
+     * @param {Date|null} signatureDate - Signature creation time
+     * @returns {Promise<object>} Signing key details
+     */
+    async function describeSigningKey(primaryKey, signingKey, signatureDate) {
+        const isSubkey = signingKey !== primaryKey;
+
+        // Capabilities come from the signature in force when the signature was
+        // made: the newest binding up to then for subkeys, and the primary
+        // self-signature for the primary key
+        const signedAt = signatureDate || new Date();
+        let flagSignature = null;
+        try {
+            if (isSubkey) {
+                flagSignature = signingKey.bindingSignatures
+                    .filter(binding => binding.created <= signedAt)
+                    .sort((a, b) => b.created - a.created)[0] || null;
+            } else {
+                flagSignature = await primaryKey.getPrimarySelfSignature(signedAt);
+            }
+        } catch (error) {
+            console.warn(`Could not read ${isSubkey ? 'subkey binding' : 'primary self-signature'}:`, error);
+        }
+
+        let capabilities = ['Unknown'];
+        if (flagSignature && flagSignature.keyFlags) {
+            const flags = flagSignature.keyFlags[0] || 0;
+            capabilities = KEY_CAPABILITIES.filter(c => flags & c.flag).map(c => c.label);
+        }
+
+        return {
+            isSubkey,
+            keyID: signingKey.getKeyID().toHex().toUpperCase(),
+            fingerprint: signingKey.getFingerprint().toUpperCase(),
+            algorithm: formatAlgorithm(signingKey.getAlgorithmInfo()),
+            capabilities,
+            primaryFingerprint: primaryKey.getFingerprint().toUpperCase()
+        };
+    }
+
+    /**
+     * Reads the issuer key ID and, when the signature carries it, the issuer fingerprint
+     * @param {object|null} sigPacket - OpenPGP.js signature packet
+     * @returns {{keyID: string|null, fingerprint: string|null}|null} Issuer, or null if the packet names none
+     */
+    function getIssuer(sigPacket) {
+        if (!sigPacket) return null;
+
+        const keyID = sigPacket.issuerKeyID && !sigPacket.issuerKeyID.isNull()
+            ? sigPacket.issuerKeyID.toHex().toLowerCase()
+            : null;
+        const fingerprint = sigPacket.issuerFingerprint && sigPacket.issuerFingerprint.length > 0
+            ? Array.from(sigPacket.issuerFingerprint, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase()
+            : null;
+
+        return keyID || fingerprint ? { keyID, fingerprint } : null;
+    }
+
+    /**
+     * Derives the key ID from a fingerprint: the low 64 bits for v4 keys,
+     * the high 64 bits for v6 keys (RFC 9580)
+     * @param {string} fingerprint - Hex fingerprint, 40 (v4) or 64 (v6) characters
+     * @returns {string|null} Lowercase hex key ID, or null for other lengths
+     */
+    function keyIDFromFingerprint(fingerprint) {
+        if (fingerprint.length === 40) return fingerprint.slice(-16).toLowerCase();
+        if (fingerprint.length === 64) return fingerprint.slice(0, 16).toLowerCase();
+        return null;
+    }
+
     /**
      * Gets detailed summary for a detached signature
      * @param {object} signature - OpenPGP.js signature object
@@ -206,38 +553,37 @@
             }
 
             if (!sigPacket) {
-                return { summary: 'Unknown signature', matchesKey: false, signerKeyID: null };
+                return { summary: 'Unknown signature', matchesKey: false, signerKeyID: null, issuer: null };
             }
 
             const signerKeyID = sigPacket.issuerKeyID?.toHex() || 'unknown';
             const creationDate = sigPacket.created;
             const dateStr = formatDate(creationDate);
 
-            // Check if signature matches any loaded public key
-            let matchesKey = false;
+            // Check if signature matches any loaded public key or one of its subkeys
+            const match = findSigningKey(state.publicKeyObjects, sigPacket.issuerKeyID);
+            const matchesKey = match !== null;
             let signerName = null;
 
-            if (state.publicKeyObjects && state.publicKeyObjects.length > 0) {
-                for (const key of state.publicKeyObjects) {
-                    const keyID = key.getKeyID().toHex();
-                    if (keyID === signerKeyID) {
-                        matchesKey = true;
-                        const user = key.users && key.users[0];
-                        const userID = user ? user.userID : null;
-                        if (userID) {
-                            signerName = userID.name || null;
-                        }
-                        break;
-                    }
+            if (match) {
+                const user = match.primaryKey.users && match.primaryKey.users[0];
+                const userID = user ? user.userID : null;
+                if (userID) {
+                    signerName = userID.name || null;
                 }
             }
 
-            let summary = `Signature by ${signerName || 'Key ID: ' + signerKeyID} (Signed: ${dateStr})`;
+            let summary = `Signature by ${signerName || 'Key ID: ' + signerKeyID}`;
+            if (match && match.signingKey !== match.primaryKey) {
+                summary += ` (Subkey: ${signerKeyID}, Signed: ${dateStr})`;
+            } else {
+                summary += ` (Signed: ${dateStr})`;
+            }
 
-            return { summary, matchesKey, signerKeyID };
+            return { summary, matchesKey, signerKeyID, issuer: getIssuer(sigPacket) };
         } catch (error) {
             console.warn('Error getting signature summary:', error);
-            return { summary: 'Detached signature', matchesKey: false, signerKeyID: null };
+            return { summary: 'Detached signature', matchesKey: false, signerKeyID: null, issuer: null };
         }
     }
 
@@ -294,7 +640,22 @@
         const userID = pubKey.users[0]?.userID?.userID || 'Unknown';
         const fingerprint = pubKey.getFingerprint().toUpperCase();
         const created = pubKey.getCreationTime().toISOString().split('T')[0];
+        const typeLabel = getSignatureTypeLabel(signatureType);
 
+        return {
+            userID,
+            fingerprint,
+            created,
+            signatureType: typeLabel
+        };
+    }
+
+    /**
+     * Gets the display label for a signature type
+     * @param {string} signatureType - Type of signature (clearsigned/inline/detached)
+     * @returns {string} Human-readable signature type
+     */
+    function getSignatureTypeLabel(signatureType) {
         let typeLabel;
         if (signatureType === 'detached') {
             typeLabel = 'Detached Signature';
@@ -303,15 +664,425 @@
         } else {
             typeLabel = 'Inline Signed';
         }
+        return typeLabel;
+    }
+
+    /**
+     * Finds the effective revocation of a key or subkey
+     * @param {object} keyOrSubkey - OpenPGP.js Key or Subkey object
+     * @returns {Promise<object|null>} { date, reason, hard } or null if not revoked
+     */
+    async function getRevocation(keyOrSubkey) {
+        if (!(await keyOrSubkey.isRevoked(null, null, new Date()))) return null;
+
+        const revocations = keyOrSubkey.revocationSignatures
+            .slice()
+            .sort((a, b) => a.created - b.created);
+        const revocation = revocations[0];
+        if (!revocation) return null;
 
         return {
-            userID,
-            fingerprint,
-            created,
-            signatureType: typeLabel
+            date: revocation.created,
+            reason: revocation.reasonForRevocationString || null,
+            hard: !SOFT_REVOCATION_REASONS.includes(revocation.reasonForRevocationFlag)
+        };
+    }
+
+    /**
+     * Checks whether an expiration time has passed at a given date
+     * @param {Date|number|null} expires - Expiration time (Infinity = never)
+     * @param {Date} date - Date to check against
+     * @returns {boolean} True if expired at that date
+     */
+    function isExpiredAt(expires, date) {
+        return expires instanceof Date && expires <= date;
+    }
+
+    /**
+     * Evaluates the signing key's expiry, revocation and subkey binding both
+     * at signature creation time and now
+     * @param {object} primaryKey - OpenPGP.js primary key that holds the signing key
+     * @param {object} keyID - Issuer key ID from the signature
+     * @param {Date|null} signatureDate - Signature creation time
+     * @returns {Promise<object>} Key validity details including a verdict from KEY_VALIDITY
+     */
+    async function evaluateKeyValidity(primaryKey, keyID, signatureDate) {
+        const now = new Date();
+        const signedAt = signatureDate || now;
+        const signingKey = primaryKey.getKeys(keyID)[0] || primaryKey;
+        const isSubkey = signingKey !== primaryKey;
+
+        const primaryExpires = await primaryKey.getExpirationTime();
+        let expiresAtSigning = primaryExpires;
+        let expiresNow = primaryExpires;
+        let bindingValidAtSigning = true;
+        let bindingValidNow = true;
+
+        if (isSubkey) {
+            const subkeyExpiresAtSigning = await signingKey.getExpirationTime(signedAt);
+            const subkeyExpiresNow = await signingKey.getExpirationTime(now);
+            bindingValidAtSigning = subkeyExpiresAtSigning !== null;
+            bindingValidNow = subkeyExpiresNow !== null;
+            // The signing key expires at whichever comes first: primary key or subkey
+            expiresAtSigning = [primaryExpires, subkeyExpiresAtSigning].filter(d => d instanceof Date).sort((a, b) => a - b)[0] || primaryExpires;
+            expiresNow = [primaryExpires, subkeyExpiresNow].filter(d => d instanceof Date).sort((a, b) => a - b)[0] || primaryExpires;
+        }
+
+        const revocations = [await getRevocation(primaryKey)];
+        if (isSubkey) {
+            revocations.push(await getRevocation(signingKey));
+        }
+        const revocation = revocations.filter(Boolean).sort((a, b) => a.date - b.date)[0] || null;
+
+        let verdict;
+        if (!bindingValidAtSigning) {
+            verdict = KEY_VALIDITY.BINDING_INVALID;
+        } else if (revocation && revocation.date <= signedAt) {
+            verdict = KEY_VALIDITY.SIGNED_AFTER_REVOCATION;
+        } else if (revocation && revocation.hard) {
+            verdict = KEY_VALIDITY.REVOKED_COMPROMISED;
+        } else if (isExpiredAt(expiresAtSigning, signedAt)) {
+            verdict = KEY_VALIDITY.SIGNED_AFTER_EXPIRY;
+        } else if (revocation) {
+            verdict = KEY_VALIDITY.REVOKED_NOW;
+        } else if (isExpiredAt(expiresNow, now) || !bindingValidNow) {
+            verdict = KEY_VALIDITY.EXPIRED_NOW;
+        } else {
+            verdict = KEY_VALIDITY.VALID;
+        }
+
+        return {
+            verdict,
+            isSubkey,
+            expires: expiresNow,
+            revocation,
+            bindingValidAtSigning,
+            bindingValidNow
         };
     }
 
+    /**
+     * Evaluates every signature returned by openpgp.verify()
+     * A failing signature never hides the others - each one gets its own report.
+     * @param {Array<object>} signatures - verificationResult.signatures entries
+     * @param {Array<object>} verificationKeys - Loaded OpenPGP.js public keys
+     * @param {string} signatureType - Type of signature (clearsigned/inline/detached)
+     * @returns {Promise<Array<object>>} One report per signature, in message order
+     */
+    async function evaluateSignatures(signatures, verificationKeys, signatureType) {
+        const reports = [];
+
+        for (const [index, signatureEntry] of signatures.entries()) {
+            const { keyID } = signatureEntry;
+            const match = findSigningKey(verificationKeys, keyID);
+            const signingKey = match ? match.primaryKey : null;
+
+            let status = SIGNATURE_STATUS.VALID;
+            let error = null;
+            try {
+                await signatureEntry.verified;
+            } catch (verifyError) {
+                status = signingKey ? SIGNATURE_STATUS.INVALID : SIGNATURE_STATUS.UNKNOWN_KEY;
+                error = verifyError.message;
+            }
+
+            let created = null;
+            let audit = null;
+            try {
+                const signature = await signatureEntry.signature;
+                const signaturePacket = signature.packets[0];
+                created = signaturePacket?.created || null;
+                if (signaturePacket) {
+                    audit = auditAlgorithms(signaturePacket, match ? match.signingKey : null);
+                }
+            } catch (packetError) {
+                console.warn('Could not read signature packet:', packetError);
+            }
+
+            let keyValidity = null;
+            let signingKeyDetails = null;
+            if (match) {
+                try {
+                    keyValidity = await evaluateKeyValidity(signingKey, keyID, created);
+                } catch (validityError) {
+                    console.warn('Could not evaluate key validity:', validityError);
+                }
+                signingKeyDetails = await describeSigningKey(match.primaryKey, match.signingKey, created);
+            }
+
+            reports.push({
+                index: index + 1,
+                keyID: keyID ? keyID.toHex().toUpperCase() : 'Unknown',
+                status,
+                error,
+                created,
+                signingKey: signingKey || null,
+                signingKeyDetails,
+                keyValidity,
+                audit,
+                keyInfo: signingKey
+                    ? formatKeyInfo(signingKey, signatureType)
+                    : {
+                        userID: `Key ID ${keyID ? keyID.toHex().toUpperCase() : 'Unknown'}`,
+                        fingerprint: 'Unavailable',
+                        created: 'Unknown',
+                        signatureType: getSignatureTypeLabel(signatureType)
+                    }
+            });
+        }
+
+        return reports;
+    }
+
+    /**
+     * Summarizes signature reports into an overall verdict
+     * @param {Array<object>} reports - Reports from evaluateSignatures()
+     * @returns {object} Counts plus verdict ('valid', 'partial' or 'invalid')
+     */
+    function summarizeSignatures(reports) {
+        const total = reports.length;
+        const validCount = reports.filter(r => r.status === SIGNATURE_STATUS.VALID).length;
+
+        let verdict;
+        if (total > 0 && validCount === total) {
+            verdict = 'valid';
+        } else if (validCount > 0) {
+            verdict = 'partial';
+        } else {
+            verdict = 'invalid';
+        }
+
+        // Valid signatures whose key has since expired or been revoked
+        const keyWarnings = reports.filter(r => r.status === SIGNATURE_STATUS.VALID &&
+            r.keyValidity && r.keyValidity.verdict !== KEY_VALIDITY.VALID);
+
+        // Valid signatures that rely on weak algorithms or key sizes
+        const algorithmWarnings = reports.filter(r => r.status === SIGNATURE_STATUS.VALID && hasWeakAlgorithms(r));
+
+        return { total, validCount, verdict, keyWarnings, algorithmWarnings };
+    }
+
+    /**
+     * Compares each signature's key against the expected (pinned) fingerprint
+     * The primary key and every subkey are candidates; on mismatch the closest
+     * candidate is kept so the result can show a character diff.
+     * @param {Array<object>} reports - Reports from evaluateSignatures()
+     * @param {object|null} pin - Normalized pin from normalizeFingerprint()
+     * @returns {Array<object>} Reports with pin comparison added (null when no pin is set)
+     */
+    function applyFingerprintPin(reports, pin) {
+        return reports.map(report => {
+            if (!pin || !pin.value) {
+                return { ...report, pin: null };
+            }
+
+            const candidates = report.signingKey
+                ? report.signingKey.getKeys().map(key => ({
+                    label: key === report.signingKey ? 'primary key' : `subkey ${key.getKeyID().toHex().toUpperCase()}`,
+                    value: pin.value.length === 16
+                        ? key.getKeyID().toHex().toUpperCase()
+                        : key.getFingerprint().toUpperCase()
+                }))
+                : [];
+
+            const match = candidates.find(c => c.value === pin.value) || null;
+            const differences = (value) => [...value].filter((ch, i) => ch !== pin.value[i]).length;
+            const closest = match || candidates
+                .filter(c => c.value.length === pin.value.length)
+                .sort((a, b) => differences(a.value) - differences(b.value))[0] || null;
+
+            return {
+                ...report,
+                pin: {
+                    expected: pin.value,
+                    kind: pin.kind,
+                    matched: Boolean(match),
+                    matchedLabel: match ? match.label : null,
+                    closest: closest ? closest.value : null
+                }
+            };
+        });
+    }
+
+    /**
+     * Builds the OpenPGP.js config overrides for a policy profile
+     * @param {string} profileName - Key of POLICY_PROFILES
+     * @returns {object|undefined} Config to pass to openpgp.verify(), or undefined for library defaults
+     */
+    function getVerifyConfig(profileName) {
+        const profile = POLICY_PROFILES[profileName] || POLICY_PROFILES[DEFAULT_POLICY_PROFILE];
+        if (!profile.allowLegacyAlgorithms) return undefined;
+
+        return {
+            rejectMessageHashAlgorithms: new Set([openpgp.enums.hash.md5, openpgp.enums.hash.ripemd]),
+            rejectPublicKeyAlgorithms: new Set([openpgp.enums.publicKey.elgamal]),
+            minRSABits: LEGACY_MIN_RSA_BITS
+        };
+    }
+
+    /**
+     * Checks whether a signing key's full fingerprint is pinned or in the known-keys database
+     * A pin given only as a long key ID does not count as a full-fingerprint match.
+     * @param {object} report - Report from applyFingerprintPin()
+     * @returns {boolean} True if a full fingerprint matches exactly
+     */
+    function isPinnedOrKnownFingerprint(report) {
+        if (report.pin && report.pin.matched && report.pin.expected.length !== 16) return true;
+        if (!report.signingKey || !window.KnownKeys) return false;
+
+        const fingerprint = report.signingKey.getFingerprint().toUpperCase();
+        return window.KnownKeys.lookup(fingerprint).some(entry => entry.matchedBy === 'fingerprint');
+    }
+
+    /**
+     * Applies a verification policy profile to signature reports
+     * Valid signatures that break a rejecting rule are downgraded to POLICY_REJECTED.
+     * @param {Array<object>} reports - Reports from evaluateSignatures()
+     * @param {string} profileName - Key of POLICY_PROFILES
+     * @returns {Array<object>} Reports with policyViolations added
+     */
+    function applyPolicy(reports, profileName) {
+        const profile = POLICY_PROFILES[profileName] || POLICY_PROFILES[DEFAULT_POLICY_PROFILE];
+
+        return reports.map(report => {
+            const policyViolations = [];
+
+            if (report.status === SIGNATURE_STATUS.VALID) {
+                if (hasWeakAlgorithms(report)) {
+                    policyViolations.push({
+                        action: profile.weakAlgorithms,
+                        message: 'Signature relies on weak algorithms or key sizes'
+                    });
+                }
+
+                const lifecycleVerdicts = [KEY_VALIDITY.EXPIRED_NOW, KEY_VALIDITY.REVOKED_NOW];
+                if (report.keyValidity && lifecycleVerdicts.includes(report.keyValidity.verdict)) {
+                    policyViolations.push({
+                        action: profile.keyLifecycle,
+                        message: 'Signing key has since expired or been revoked'
+                    });
+                }
+
+                if (profile.requireKnownFingerprint && !isPinnedOrKnownFingerprint(report)) {
+                    policyViolations.push({
+                        action: POLICY_ACTIONS.REJECT,
+                        message: 'Signing key fingerprint is not pinned or in the known-keys database'
+                    });
+                }
+            }
+
+            const rejected = policyViolations.some(v => v.action === POLICY_ACTIONS.REJECT);
+            return {
+                ...report,
+                status: rejected ? SIGNATURE_STATUS.POLICY_REJECTED : report.status,
+                policyViolations
+            };
+        });
+    }
+
+    /**
+     * Checks whether a signature report has weak-algorithm audit findings
+     * @param {object} report - Report from evaluateSignatures()
+     * @returns {boolean} True if any finding is weak (not merely deprecated)
+     */
+    function hasWeakAlgorithms(report) {
+        return Boolean(report.audit && report.audit.findings.some(f => f.severity === AUDIT_SEVERITY.WEAK));
+    }
+
+    /**
+     * Records valid signatures in the trust-on-first-use history and attaches it to each report
+     * Does nothing unless the TOFU addon is loaded and enabled. Signatures whose key
+     * fails the expected-fingerprint pin are never recorded as the known key.
+     * @param {Array<object>} reports - Reports from applyPolicy()
+     * @returns {Promise<Array<object>>} Reports with tofu history added (null when not recorded)
+     */
+    async function applyTofuHistory(reports) {
+        if (!window.TofuTracker || !window.TofuTracker.isEnabled()) return reports;
+
+        // One at a time: recordSignature() reads, updates and writes the same
+        // IndexedDB record, so parallel calls for one identity would lose updates
+        const results = [];
+        for (const report of reports) {
+            const isPinMismatch = report.pin && !report.pin.matched;
+            if (report.status !== SIGNATURE_STATUS.VALID || !report.signingKey || isPinMismatch) {
+                results.push({ ...report, tofu: null });
+                continue;
+            }
+
+            try {
+                const tofu = await window.TofuTracker.recordSignature({
+                    userIDs: report.signingKey.getUserIDs(),
+                    fingerprint: report.signingKey.getFingerprint(),
+                    signatureCreated: report.created
+                });
+                results.push({ ...report, tofu });
+            } catch (error) {
+                console.warn('Could not record TOFU history:', error);
+                results.push({ ...report, tofu: null });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Checks whether a report's signer identity was previously seen with a different key
+     * @param {object} report - Report from applyTofuHistory()
+     * @returns {boolean} True if any identity has conflicting keys
+     */
+    function hasTofuConflict(report) {
+        return Boolean(report.tofu && report.tofu.some(entry => entry.conflicts.length > 0));
+    }
+
+    /**
+     * Gathers keys that may have certified a signer: the session keys plus any saved in the local keyring
+     * @returns {Promise<Array<object>>} OpenPGP.js public keys
+     */
+    async function getCertifierKeys() {
+        const keys = [...(state.publicKeyObjects || [])];
+
+        if (window.LocalKeyring && window.LocalKeyring.isEnabled()) {
+            try {
+                const records = await window.LocalKeyring.listKeys();
+                for (const record of records) {
+                    keys.push(...await openpgp.readKeys({ armoredKeys: record.armoredKey }));
+                }
+            } catch (error) {
+                console.warn('Could not read keyring for web of trust:', error);
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * Looks for a certification path from an ownertrust-trusted key to each valid signer
+     * Does nothing unless the web-of-trust module is loaded and ownertrust was imported.
+     * @param {Array<object>} reports - Reports from applyTofuHistory()
+     * @returns {Promise<Array<object>>} Reports with webOfTrust added (null when not evaluated)
+     */
+    async function applyWebOfTrust(reports) {
+        if (!window.WebOfTrust || !state.ownertrust) return reports;
+
+        const certifierKeys = await getCertifierKeys();
+        return Promise.all(reports.map(async report => {
+            if (report.status !== SIGNATURE_STATUS.VALID || !report.signingKey) {
+                return { ...report, webOfTrust: null };
+            }
+
+            try {
+                const webOfTrust = await window.WebOfTrust.findCertificationPath(
+                    report.signingKey,
+                    certifierKeys,
+                    state.ownertrust.entries
+                );
+                return { ...report, webOfTrust };
+            } catch (error) {
+                console.warn('Could not evaluate web of trust:', error);
+                return { ...report, webOfTrust: null };
+            }
+        }));
+    }
+
     // ============================================================================
     // UI FUNCTIONS
     // ============================================================================
@@ -410,6 +1181,84 @@
         return storedTheme;
     }
 
+    /**
+     * Applies and persists a verification policy profile
+     * @param {string} profileName - Key of POLICY_PROFILES
+     */
+    function setPolicyProfile(profileName) {
+        const nextProfile = POLICY_PROFILES[profileName] ? profileName : DEFAULT_POLICY_PROFILE;
+        state.policyProfile = nextProfile;
+
+        if (elements.policySelect) {
+            elements.policySelect.value = nextProfile;
+            elements.policySelect.title = POLICY_PROFILES[nextProfile].description;
+        }
+        updatePolicyStatus();
+
+        try {
+            localStorage.setItem('gpg-verifier-policy', nextProfile);
+        } catch (error) {
+            console.warn('Unable to persist policy preference:', error);
+        }
+    }
+
+    /**
+     * Loads the persisted policy profile, defaulting to standard
+     * @returns {string} The profile that was applied
+     */
+    function loadPolicyPreference() {
+        let storedProfile = DEFAULT_POLICY_PROFILE;
+        try {
+            storedProfile = localStorage.getItem('gpg-verifier-policy') || DEFAULT_POLICY_PROFILE;
+        } catch (error) {
+            console.warn('Unable to read policy preference:', error);
+        }
+
+        setPolicyProfile(storedProfile);
+        return state.policyProfile;
+    }
+
+    /**
+     * Handles a change of policy profile, re-verifying any inputs already loaded
+     * @param {Event} event - Change event from the policy select
+     */
+    function handlePolicyChange(event) {
+        setPolicyProfile(event.target.value);
+        autoVerify();
+    }
+
+    /**
+     * Handles "I trust this key change" in the result, then re-verifies so the warning clears
+     * @param {Event} event - Click event from the result area
+     */
+    async function handleTofuAccept(event) {
+        const button = event.target.closest('.tofu-accept-btn');
+        if (!button || !window.TofuTracker) return;
+
+        button.disabled = true;
+        try {
+            await window.TofuTracker.acceptKeyChange(button.dataset.tofuIdentity, button.dataset.tofuFingerprint);
+            autoVerify();
+        } catch (error) {
+            console.error('Could not accept key change:', error);
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Shows the active policy profile, and any violations, next to the status badge
+     * @param {number} [violationCount] - Number of policy violations in the last result
+     */
+    function updatePolicyStatus(violationCount = 0) {
+        if (!elements.appStatusPolicy) return;
+
+        const label = POLICY_PROFILES[state.policyProfile].label;
+        elements.appStatusPolicy.textContent = violationCount > 0
+            ? `Policy: ${label} · ${violationCount} violation${violationCount === 1 ? '' : 's'}`
+            : `Policy: ${label}`;
+        elements.appStatusPolicy.classList.toggle('has-violations', violationCount > 0);
+    }
+
     /**
      * Toggles between dark and light themes
      */
@@ -419,64 +1268,466 @@
     }
 
     /**
-     * Shows success result
-     * @param {object} keyInfo - Verified key information
+     * Renders key validity rows for a signature report
+     * @param {object|null} keyValidity - Result of evaluateKeyValidity()
+     * @returns {string} HTML fragment of dt/dd pairs
      */
-    function showSuccess(keyInfo, verifiedData = null) {
-        elements.result.className = 'result success';
-        elements.result.innerHTML = `
-            <div class="result-icon">✓</div>
-            <div class="result-title">SIGNATURE VALID</div>
-            <div class="result-details">
-                <strong>Mathematical verification succeeded.</strong>
+    function renderKeyValidity(keyValidity) {
+        if (!keyValidity) return '';
+
+        let expiresText = 'Never';
+        if (keyValidity.expires instanceof Date) {
+            expiresText = formatDate(keyValidity.expires) + (keyValidity.expires <= new Date() ? ' (expired)' : '');
+        } else if (keyValidity.expires === null) {
+            expiresText = 'Unknown (no valid self-signature)';
+        }
+
+        let html = `
+                    <dt>Key Validity:</dt>
+                    <dd class="key-validity key-validity-${escapeHTML(keyValidity.verdict)}">${escapeHTML(KEY_VALIDITY_LABELS[keyValidity.verdict])}</dd>
+
+                    <dt>${keyValidity.isSubkey ? 'Signing Key Expires' : 'Key Expires'}:</dt>
+                    <dd>${escapeHTML(expiresText)}</dd>
+        `;
+
+        if (keyValidity.revocation) {
+            const { date, reason, hard } = keyValidity.revocation;
+            const revokedText = `${formatDate(date)}${hard ? ' (compromised or unspecified reason)' : ''}${reason ? ` - ${reason}` : ''}`;
+            html += `
+                    <dt>Revoked:</dt>
+                    <dd>${escapeHTML(revokedText)}</dd>
+            `;
+        }
+
+        if (keyValidity.isSubkey) {
+            const bindingText = keyValidity.bindingValidAtSigning
+                ? (keyValidity.bindingValidNow ? 'Valid' : 'Valid at signing time, no longer valid')
+                : 'Not valid at signing time';
+            html += `
+                    <dt>Subkey Binding:</dt>
+                    <dd>${escapeHTML(bindingText)}</dd>
+            `;
+        }
+
+        return html;
+    }
+
+    /**
+     * Renders the rows describing which key or subkey made a signature
+     * @param {object|null} details - Result of describeSigningKey()
+     * @returns {string} HTML fragment of dt/dd pairs
+     */
+    function renderSigningKeyDetails(details) {
+        if (!details) return '';
+
+        let html = `
+                    <dt>Signing Key:</dt>
+                    <dd><code>${escapeHTML(details.keyID)}</code> ${details.isSubkey ? '(subkey)' : '(primary key)'}</dd>
+
+                    <dt>Key Algorithm:</dt>
+                    <dd>${escapeHTML(details.algorithm)}</dd>
+
+                    <dt>Capabilities:</dt>
+                    <dd>${escapeHTML(details.capabilities.join(', ') || 'None')}</dd>
+        `;
+
+        if (details.isSubkey) {
+            html += `
+                    <dt>Subkey Fingerprint:</dt>
+                    <dd><code>${escapeHTML(details.fingerprint)}</code></dd>
+            `;
+        }
+
+        return html;
+    }
+
+    /**
+     * Renders the PGP word list, randomart and QR code for a fingerprint
+     * @param {string} fingerprint - Hex fingerprint
+     * @returns {string} HTML fragment, or empty string if the addon is unavailable
+     */
+    function renderFingerprintFormats(fingerprint) {
+        if (!window.FingerprintFormats) return '';
+        return window.FingerprintFormats.renderFingerprintFormats(fingerprint);
+    }
+
+    /**
+     * Renders the algorithm audit rows for a signature report
+     * @param {object|null} audit - Result of auditAlgorithms()
+     * @param {boolean} showKeyAlgorithm - Whether to list the public-key algorithm (not already shown with the signing key)
+     * @returns {string} HTML fragment of dt/dd pairs
+     */
+    function renderAlgorithmAudit(audit, showKeyAlgorithm) {
+        if (!audit) return '';
+
+        const findingsHtml = audit.findings.length > 0
+            ? `<ul class="algorithm-audit">${audit.findings.map(f =>
+                `<li class="audit-${escapeHTML(f.severity)}">${f.severity === AUDIT_SEVERITY.WEAK ? 'Weak' : 'Deprecated'}: ${escapeHTML(f.message)}</li>`
+            ).join('')}</ul>`
+            : 'No weak or deprecated parameters found';
+
+        const keyAlgorithmHtml = showKeyAlgorithm
+            ? `
+                    <dt>Public-Key Algorithm:</dt>
+                    <dd>${escapeHTML(audit.publicKeyAlgorithm)}</dd>
+            `
+            : '';
+
+        return `
+                    <dt>Hash Algorithm:</dt>
+                    <dd>${escapeHTML(audit.hashAlgorithm)}</dd>
+                    ${keyAlgorithmHtml}
+                    <dt>Algorithm Audit:</dt>
+                    <dd>${findingsHtml}</dd>
+        `;
+    }
+
+    /**
+     * Renders the expected-fingerprint comparison for a signature report
+     * On mismatch, both values are shown character by character with differences marked.
+     * @param {object|null} pin - Pin comparison from applyFingerprintPin()
+     * @returns {string} HTML fragment of dt/dd pairs
+     */
+    function renderPinComparison(pin) {
+        if (!pin) return '';
+
+        if (pin.matched) {
+            return `
+                    <dt>Expected Fingerprint:</dt>
+                    <dd class="pin-match">✓ Matches ${escapeHTML(pin.matchedLabel)} (${escapeHTML(pin.kind)})</dd>
+            `;
+        }
+
+        if (!pin.closest) {
+            return `
+                    <dt>Expected Fingerprint:</dt>
+                    <dd class="pin-mismatch">✗ Does not match - signing key not loaded</dd>
+            `;
+        }
+
+        const renderChars = (value, other) => [...value].map((ch, i) =>
+            `<span class="${ch === other[i] ? 'fp-match' : 'fp-mismatch'}">${escapeHTML(ch)}</span>${i % 4 === 3 ? ' ' : ''}`
+        ).join('');
+
+        return `
+                    <dt>Expected Fingerprint:</dt>
+                    <dd class="pin-mismatch">
+                        ✗ Does not match this key
+                        <div class="fingerprint-diff">
+                            <span>Expected</span><code>${renderChars(pin.expected, pin.closest)}</code>
+                            <span>Actual</span><code>${renderChars(pin.closest, pin.expected)}</code>
+                        </div>
+                    </dd>
+        `;
+    }
+
+    /**
+     * Renders the policy violation rows for a signature report
+     * @param {Array<object>|undefined} violations - Violations from applyPolicy()
+     * @returns {string} HTML fragment of dt/dd pairs
+     */
+    function renderPolicyViolations(violations) {
+        if (!violations || violations.length === 0) return '';
+
+        return `
+                    <dt>Policy Violations:</dt>
+                    <dd><ul class="policy-violations">${violations.map(v =>
+                        `<li class="policy-${escapeHTML(v.action)}">${v.action === POLICY_ACTIONS.REJECT ? 'Rejected' : 'Warning'}: ${escapeHTML(v.message)}</li>`
+                    ).join('')}</ul></dd>
+        `;
+    }
+
+    /**
+     * Renders the trust-on-first-use history for a signature report
+     * Identities previously seen with another key are listed first with that key's history.
+     * @param {Array<object>|null|undefined} tofu - History from applyTofuHistory()
+     * @returns {string} HTML fragment of dt/dd pairs
+     */
+    function renderTofuHistory(tofu) {
+        if (!tofu || tofu.length === 0) return '';
+
+        const items = tofu.map(entry => {
+            let seen;
+            if (entry.isFirstUse) {
+                seen = 'First signature recorded for this signer';
+            } else if (!entry.lastSeen) {
+                seen = 'First signature recorded with this key';
+            } else {
+                seen = `First seen ${formatDateTime(new Date(entry.firstSeen))}, last seen ${formatDateTime(new Date(entry.lastSeen))}, ${entry.count} signature${entry.count === 1 ? '' : 's'} with this key`;
+            }
+
+            const conflicts = entry.conflicts.map(other => `
+                <div class="tofu-conflict">
+                    ⚠ Previously signed with a different key: <code>${escapeHTML(formatFingerprint(other.fingerprint))}</code>
+                    (first seen ${escapeHTML(formatDateTime(new Date(other.firstSeen)))}, last seen ${escapeHTML(formatDateTime(new Date(other.lastSeen)))}, ${other.count} signature${other.count === 1 ? '' : 's'})
+                </div>
+            `).join('');
+
+            const acceptButton = entry.conflicts.length > 0
+                ? `<button type="button" class="known-key-btn tofu-accept-btn" data-tofu-identity="${escapeHTML(entry.identity)}" data-tofu-fingerprint="${escapeHTML(entry.fingerprint)}">I trust this key change</button>`
+                : '';
+
+            return `
+                <li class="${entry.conflicts.length > 0 ? 'tofu-changed' : 'tofu-consistent'}">
+                    <strong>${escapeHTML(entry.identity)}</strong>: ${escapeHTML(seen)}
+                    ${conflicts}
+                    ${acceptButton}
+                </li>
+            `;
+        }).join('');
+
+        return `
+                    <dt>Key History:</dt>
+                    <dd><ul class="tofu-history">${items}</ul></dd>
+        `;
+    }
+
+    /**
+     * Renders the web-of-trust result for a signature report
+     * @param {object|null|undefined} webOfTrust - Result from applyWebOfTrust()
+     * @returns {string} HTML fragment of dt/dd pairs
+     */
+    function renderTrustPath(webOfTrust) {
+        if (!webOfTrust) return '';
+
+        const describe = entries => entries.map(entry => entry.trust === 'unknown'
+            ? escapeHTML(entry.label)
+            : `${escapeHTML(entry.label)} <span class="trust-level">(${escapeHTML(entry.trust)} trust)</span>`
+        ).join(' + ');
+
+        if (webOfTrust.valid) {
+            return `
+                    <dt>Web of Trust:</dt>
+                    <dd class="trust-path-valid">
+                        ✓ Certification path from a key you trust
+                        <ol class="trust-path">${webOfTrust.path.map(hop => `<li>${describe(hop)}</li>`).join('')}</ol>
+                    </dd>
+            `;
+        }
+
+        return `
+                    <dt>Web of Trust:</dt>
+                    <dd class="trust-path-missing">
+                        ✗ No certification path from a key you trust
+                        <div class="trust-certifiers">${webOfTrust.certifiers.length > 0
+                            ? `Certified by: ${describe(webOfTrust.certifiers)}`
+                            : 'Not certified by any other loaded or saved key'}</div>
+                    </dd>
+        `;
+    }
+
+    /**
+     * Renders a single signature report as HTML
+     * @param {object} report - Report from evaluateSignatures()
+     * @param {number} total - Number of signatures in the message
+     * @returns {string} HTML fragment
+     */
+    function renderSignatureReport(report, total) {
+        const { keyInfo } = report;
+        const isSubkey = Boolean(report.signingKeyDetails && report.signingKeyDetails.isSubkey);
+        const heading = total > 1
+            ? `<div class="signature-report-heading">Signature ${report.index} of ${total}</div>`
+            : '';
+
+        return `
+            <div class="signature-report signature-${escapeHTML(report.status)}">
+                ${heading}
                 <dl class="result-info">
-                    <dt>Signature Type:</dt>
-                    <dd>${escapeHTML(keyInfo.signatureType)}</dd>
+                    <dt>Status:</dt>
+                    <dd class="signature-status">${escapeHTML(SIGNATURE_STATUS_LABELS[report.status])}</dd>
+
+                    <dt>Issuer Key ID:</dt>
+                    <dd><code>${escapeHTML(report.keyID)}</code></dd>
+
+                    <dt>Signed:</dt>
+                    <dd>${escapeHTML(formatDateTime(report.created))}</dd>
 
                     <dt>Signer:</dt>
                     <dd>${escapeHTML(keyInfo.userID)}</dd>
 
-                    <dt>Fingerprint:</dt>
-                    <dd><code>${escapeHTML(keyInfo.fingerprint)}</code></dd>
+                    <dt>${isSubkey ? 'Primary Fingerprint' : 'Fingerprint'}:</dt>
+                    <dd><code>${escapeHTML(keyInfo.fingerprint)}</code>${renderFingerprintFormats(keyInfo.fingerprint)}</dd>
 
                     <dt>Key Created:</dt>
                     <dd>${escapeHTML(keyInfo.created)}</dd>
+                    ${renderSigningKeyDetails(report.signingKeyDetails)}
+                    ${renderKeyValidity(report.keyValidity)}
+                    ${renderAlgorithmAudit(report.audit, !report.signingKeyDetails)}
+                    ${renderPinComparison(report.pin)}
+                    ${renderPolicyViolations(report.policyViolations)}
+                    ${renderTofuHistory(report.tofu)}
+                    ${renderTrustPath(report.webOfTrust)}
+                </dl>
+                ${report.error ? `<div class="error-detail">Error: ${escapeHTML(report.error)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Shows success result
+     * Also used when only some of several signatures verify (partial verdict).
+     * @param {Array<object>} reports - Reports from evaluateSignatures()
+     * @param {string} signatureType - Type of signature (clearsigned/inline/detached)
+     * @param {string|null} verifiedData - Verified content for checksum detection
+     */
+    function showSuccess(reports, signatureType, verifiedData = null) {
+        const { total, validCount, verdict, keyWarnings, algorithmWarnings } = summarizeSignatures(reports);
+        const isPartial = verdict === 'partial';
+        const hasKeyWarnings = keyWarnings.length > 0;
+        const hasWeakAlgorithmWarnings = algorithmWarnings.length > 0;
+        const isPinned = Boolean(state.expectedFingerprint);
+        const pinMatched = reports.some(r => r.status === SIGNATURE_STATUS.VALID && r.pin && r.pin.matched);
+        const isPinMismatch = isPinned && !pinMatched;
+        const isKeyChanged = reports.some(hasTofuConflict);
+        const isCertified = reports.some(r => r.status === SIGNATURE_STATUS.VALID && r.webOfTrust && r.webOfTrust.valid);
+
+        let title = isPartial
+            ? `PARTIALLY VALID: ${validCount} OF ${total} SIGNATURES VERIFIED`
+            : (total > 1 ? `SIGNATURE VALID (${total} OF ${total})` : 'SIGNATURE VALID');
+        if (hasKeyWarnings) {
+            const warningVerdicts = [...new Set(keyWarnings.map(r => r.keyValidity.verdict))];
+            title += warningVerdicts.includes(KEY_VALIDITY.REVOKED_NOW) ? ', KEY SINCE REVOKED' : ', KEY NOW EXPIRED';
+        }
+        if (hasWeakAlgorithmWarnings) {
+            title += ', WEAK ALGORITHMS';
+        }
+        if (isPinMismatch) {
+            title = 'FINGERPRINT MISMATCH: SIGNED BY AN UNEXPECTED KEY';
+        } else if (isKeyChanged) {
+            title = `SIGNER KEY CHANGED: ${title}`;
+        } else if (isPinned) {
+            title += ' - FINGERPRINT CONFIRMED';
+        }
+
+        let message;
+        if (isPinMismatch) {
+            message = 'The signature is mathematically valid, but no valid signature was made by the key with the fingerprint you expected. Do not trust this file until you know why a different key signed it.';
+        } else if (isPartial) {
+            message = 'Some signatures did not verify. Only rely on this file if a signer you expect is among the valid signatures, and confirm that fingerprint through a trusted channel.';
+        } else if (isPinned) {
+            message = 'The signature matches this key, and the key matches the fingerprint you expected.';
+        } else if (isCertified) {
+            message = 'The signature matches this key, and a certification path from a key you trust reaches it. See the web of trust details below.';
+        } else {
+            message = 'The signature matches this key. You still need to confirm the fingerprint belongs to the publisher you expect.';
+        }
+        if (isKeyChanged && !isPinMismatch) {
+            message = 'WARNING: this signer previously signed with a different key. A silently replaced key is how attackers pass off tampered files. Confirm the key change with the publisher through a trusted channel before trusting this file. ' + message;
+        }
+        if (hasKeyWarnings) {
+            message += ' The signing key was valid when the signature was made but is no longer valid today; check the publisher has not replaced or withdrawn it.';
+        }
+        if (hasWeakAlgorithmWarnings) {
+            message += ' The signature relies on weak algorithms or key sizes that may allow forgery; see the algorithm audit and ask the publisher for a stronger signature.';
+        }
+
+        const isWarning = isPartial || hasKeyWarnings || hasWeakAlgorithmWarnings || isKeyChanged;
+        let resultClass = isWarning ? 'result warning' : 'result success';
+        let resultIcon = isWarning ? '⚠' : '✓';
+        if (isPinMismatch) {
+            resultClass = 'result error';
+            resultIcon = '✗';
+        }
+        elements.result.className = resultClass;
+        elements.result.innerHTML = `
+            <div class="result-icon">${resultIcon}</div>
+            <div class="result-title">${escapeHTML(title)}</div>
+            <div class="result-details">
+                <strong>Mathematical verification succeeded${isPartial ? ' for some signatures' : ''}.</strong>
+                <dl class="result-info">
+                    <dt>Signature Type:</dt>
+                    <dd>${escapeHTML(getSignatureTypeLabel(signatureType))}</dd>
+
+                    <dt>Policy:</dt>
+                    <dd>${escapeHTML(POLICY_PROFILES[state.policyProfile].label)}</dd>
                 </dl>
+                ${reports.map(report => renderSignatureReport(report, total)).join('')}
             </div>
             <div class="result-message">
-                The signature matches this key. You still need to confirm the fingerprint belongs to the publisher you expect.
+                ${escapeHTML(message)}
             </div>
         `;
         elements.resultContainer.style.display = 'block';
-        updateStatus('Verified', 'The signature is valid for the supplied key. Confirm the fingerprint through a trusted channel before trusting the publisher identity.');
+        if (isPinMismatch) {
+            updateStatus('Fingerprint Mismatch', 'The signature is valid but was made by a different key than the expected fingerprint. Do not trust this file.');
+        } else if (isKeyChanged) {
+            updateStatus('Signer Key Changed', 'The signature is valid, but this signer previously used a different key. Confirm the key change with the publisher before trusting this file.');
+        } else if (isPartial) {
+            updateStatus('Partially Verified', `${validCount} of ${total} signatures are valid. Check which signers verified before trusting this file.`);
+        } else if (hasWeakAlgorithmWarnings) {
+            updateStatus('Verified (Weak Algorithms)', 'The signature is valid, but it uses weak or deprecated algorithms. Review the algorithm audit before trusting this file.');
+        } else if (hasKeyWarnings) {
+            updateStatus('Verified (Key Warning)', 'The signature is valid, but the signing key has since expired or been revoked. Check the publisher still uses this key.');
+        } else {
+            updateStatus('Verified', 'The signature is valid for the supplied key. Confirm the fingerprint through a trusted channel before trusting the publisher identity.');
+        }
+        updatePolicyStatus(countPolicyViolations(reports));
 
-        // Check for checksums in verified data
-        if (verifiedData && window.ChecksumVerifier) {
-            window.ChecksumVerifier.showChecksumSection(verifiedData);
+        // Check for checksums in verified data - never offered for files signed by an unexpected key
+        if (verifiedData && window.ChecksumVerifier && !isPinMismatch) {
+            // The checksum file's name (SHA512SUMS, b2sums.txt) tells same-length digests apart
+            const checksumFile = signatureType === 'detached' ? state.dataFile : state.signedFile;
+            window.ChecksumVerifier.showChecksumSection(verifiedData, checksumFile ? checksumFile.name : null);
         }
     }
 
     /**
      * Shows invalid signature result
      * @param {string} errorMessage - Error message
+     * @param {Array<object>} [reports] - Per-signature reports, when available
      */
-    function showInvalid(errorMessage) {
+    function showInvalid(errorMessage, reports = []) {
+        const keyProblemVerdicts = [
+            KEY_VALIDITY.SIGNED_AFTER_EXPIRY,
+            KEY_VALIDITY.SIGNED_AFTER_REVOCATION,
+            KEY_VALIDITY.REVOKED_COMPROMISED,
+            KEY_VALIDITY.BINDING_INVALID
+        ];
+        const hasKeyProblem = reports.some(r => r.keyValidity && keyProblemVerdicts.includes(r.keyValidity.verdict));
+        const hasWeakAlgorithm = reports.some(hasWeakAlgorithms);
+        const isPolicyRejection = reports.some(r => r.status === SIGNATURE_STATUS.POLICY_REJECTED);
+        const policyLabel = POLICY_PROFILES[state.policyProfile].label;
+
         elements.result.className = 'result error';
         elements.result.innerHTML = `
             <div class="result-icon">✗</div>
-            <div class="result-title">SIGNATURE INVALID</div>
+            <div class="result-title">${isPolicyRejection ? 'SIGNATURE REJECTED BY POLICY' : 'SIGNATURE INVALID'}</div>
             <div class="result-details">
-                <p>The signature could not be verified. This may mean:</p>
+                ${isPolicyRejection
+                    ? `<p>The signature is mathematically valid but does not meet the ${escapeHTML(policyLabel)} policy. See the policy violations below.</p>`
+                    : `<p>The signature could not be verified. This may mean:</p>
                 <ul>
+                    ${hasKeyProblem ? '<li>The signing key was expired, revoked or not validly bound when it was used</li>' : ''}
+                    ${hasWeakAlgorithm ? '<li>The signature uses an algorithm or key size too weak to be accepted</li>' : ''}
                     <li>The file has been modified or corrupted</li>
                     <li>The signature doesn't match this file</li>
                     <li>The wrong public key was provided</li>
-                </ul>
-                ${errorMessage ? `<div class="error-detail">Error: ${escapeHTML(errorMessage)}</div>` : ''}
+                </ul>`}
+                <dl class="result-info">
+                    <dt>Policy:</dt>
+                    <dd>${escapeHTML(policyLabel)}</dd>
+                </dl>
+                ${reports.length > 0
+                    ? reports.map(report => renderSignatureReport(report, reports.length)).join('')
+                    : (errorMessage ? `<div class="error-detail">Error: ${escapeHTML(errorMessage)}</div>` : '')}
             </div>
         `;
         elements.resultContainer.style.display = 'block';
-        updateStatus('Invalid', 'Signature verification failed. Recheck the key, signed content, and detached data file before retrying.');
+        if (isPolicyRejection) {
+            updateStatus('Rejected by Policy', `The signature does not meet the ${policyLabel} policy. Review the violations or choose another profile.`);
+        } else {
+            updateStatus('Invalid', 'Signature verification failed. Recheck the key, signed content, and detached data file before retrying.');
+        }
+        updatePolicyStatus(countPolicyViolations(reports));
+    }
+
+    /**
+     * Counts policy violations across signature reports
+     * @param {Array<object>} reports - Reports from applyPolicy()
+     * @returns {number} Total number of violations
+     */
+    function countPolicyViolations(reports) {
+        return reports.reduce((count, report) => count + (report.policyViolations ? report.policyViolations.length : 0), 0);
     }
 
     /**
@@ -596,6 +1847,63 @@
         }
     }
 
+    /**
+     * Loads a key saved in the local keyring into state and triggers auto-verify
+     * @param {object} record - Record from LocalKeyring
+     */
+    async function loadSavedKey(record) {
+        try {
+            const keys = await openpgp.readKeys({ armoredKeys: record.armoredKey });
+            if (!keys || keys.length === 0) throw new Error('No keys parsed');
+            state.publicKey = record.armoredKey;
+            state.publicKeyObjects = keys;
+
+            collapseSection(elements.publicKeySection, `Saved key "${record.petname}": ${getKeySummary(keys[0])}`);
+            updateStatus('Waiting', `Using saved key "${record.petname}" from your local keyring. Starting verification...`);
+
+            if (window.KnownKeysAddon) {
+                window.KnownKeysAddon.hideBanner();
+            }
+
+            elements.resultContainer.style.display = 'none';
+            autoVerify();
+        } catch (err) {
+            console.error('loadSavedKey failed:', err);
+        }
+    }
+
+    /**
+     * Selects a key for a signature's issuer when none is loaded yet.
+     * A key saved in the local keyring is used directly; otherwise a matching
+     * known distribution key is offered through the banner.
+     * @param {{keyID: string|null, fingerprint: string|null}} issuer - Issuer from getIssuer()
+     */
+    async function offerKeyForSigner(issuer) {
+        // v6 signatures, and some v4 ones, carry only the issuer fingerprint
+        const keyID = issuer.keyID || (issuer.fingerprint && keyIDFromFingerprint(issuer.fingerprint));
+        if (window.LocalKeyring && keyID) {
+            try {
+                const savedMatches = await window.LocalKeyring.findByKeyID(keyID);
+                if (savedMatches.length > 0) {
+                    await loadSavedKey(savedMatches[0]);
+                    return;
+                }
+            } catch (err) {
+                console.warn('Local keyring lookup failed:', err);
+            }
+        }
+
+        if (window.KnownKeysAddon) {
+            const knownMatch = window.KnownKeysAddon.checkAndPrompt(issuer);
+            if (knownMatch) {
+                window.KnownKeysAddon.showBanner(knownMatch,
+                    () => loadKnownKey(knownMatch),
+                    () => {}
+                );
+            }
+        }
+    }
+
     // ============================================================================
     // COLLAPSIBLE SECTION HANDLERS
     // ============================================================================
@@ -944,6 +2252,86 @@
         updateStatus('Ready', 'Load a public key and a signed file. Verification will start automatically when both inputs are ready.');
     }
 
+    /**
+     * Handles edits to the expected fingerprint input
+     * Normalizes the value, reports malformed input inline and re-verifies.
+     * @param {Event} event - Input event
+     */
+    function handleExpectedFingerprintInput(event) {
+        const pin = normalizeFingerprint(event.target.value);
+        const hint = elements.expectedFingerprintHint;
+
+        if (pin && pin.error) {
+            const hadPin = state.expectedFingerprint !== null;
+            state.expectedFingerprint = null;
+            elements.expectedFingerprintInput.classList.add('invalid');
+            if (hint) hint.textContent = `Not a valid fingerprint: ${pin.error}`;
+            // Re-verify once without the pin so its old verdict does not stay on screen
+            if (hadPin) autoVerify();
+            return;
+        }
+
+        state.expectedFingerprint = pin;
+        elements.expectedFingerprintInput.classList.remove('invalid');
+        if (hint) {
+            hint.textContent = pin
+                ? `Expecting ${pin.kind}: ${formatFingerprint(pin.value)}`
+                : EXPECTED_FINGERPRINT_HINT;
+        }
+        autoVerify();
+    }
+
+    /**
+     * Clears the expected fingerprint input and pin
+     */
+    function clearExpectedFingerprint() {
+        state.expectedFingerprint = null;
+        if (elements.expectedFingerprintInput) {
+            elements.expectedFingerprintInput.value = '';
+            elements.expectedFingerprintInput.classList.remove('invalid');
+        }
+        if (elements.expectedFingerprintHint) {
+            elements.expectedFingerprintHint.textContent = EXPECTED_FINGERPRINT_HINT;
+        }
+    }
+
+    /**
+     * Handles upload of a `gpg --export-ownertrust` file
+     * @param {Event} event - File input change event
+     */
+    async function handleOwnertrustUpload(event) {
+        const file = event.target.files[0];
+        if (!file || !window.WebOfTrust) return;
+
+        hideInlineError(elements.keySectionError);
+        try {
+            const { entries, errors } = window.WebOfTrust.parseOwnertrust(await readFileAsText(file));
+            const counts = window.WebOfTrust.summarizeOwnertrust(entries);
+            state.ownertrust = { name: file.name, entries };
+
+            const skipped = errors.length > 0 ? `, ${errors.length} line${errors.length === 1 ? '' : 's'} skipped` : '';
+            showFileInfo(elements.ownertrustInfo, file.name,
+                `${counts.ultimate} ultimate, ${counts.full} full, ${counts.marginal} marginal${skipped}`);
+            elements.clearOwnertrustBtn.style.display = 'block';
+            errors.forEach(message => console.warn(`Ownertrust ${message}`));
+            autoVerify();
+        } catch (error) {
+            clearOwnertrust();
+            showInlineError(elements.keySectionError, 'Invalid Ownertrust File', escapeHTML(error.message));
+        }
+    }
+
+    /**
+     * Clears imported ownertrust
+     */
+    function clearOwnertrust() {
+        state.ownertrust = null;
+        if (!elements.ownertrustFileInput) return;
+        elements.ownertrustFileInput.value = '';
+        hideFileInfo(elements.ownertrustInfo);
+        elements.clearOwnertrustBtn.style.display = 'none';
+    }
+
     // ============================================================================
     // SIGNED FILE HANDLERS
     // ============================================================================
@@ -1022,21 +2410,15 @@
                         signature = await openpgp.readSignature({ armoredSignature: sigText });
                     }
 
-                    const { summary, matchesKey, signerKeyID: detachedSignerKeyID } = await getSignatureSummary(signature);
+                    const { summary, matchesKey, issuer: detachedIssuer } = await getSignatureSummary(signature);
                     const statusText = matchesKey ? '✓ Matches loaded key' : '⚠ Key not yet loaded';
 
                     showFileInfo(elements.signedInfo, `${file.name} (${signatureFormat})`, `${summary}\n${statusText}`);
                     console.log(`Detached signature: ${summary}, matches key: ${matchesKey}`);
 
-                    // Known key lookup
-                    if (window.KnownKeysAddon && !state.publicKey && detachedSignerKeyID) {
-                        const detachedKnownMatch = window.KnownKeysAddon.checkAndPrompt(detachedSignerKeyID);
-                        if (detachedKnownMatch) {
-                            window.KnownKeysAddon.showBanner(detachedKnownMatch,
-                                () => loadKnownKey(detachedKnownMatch),
-                                () => {}
-                            );
-                        }
+                    // Saved or known key lookup
+                    if (!state.publicKey && detachedIssuer) {
+                        await offerKeyForSigner(detachedIssuer);
                     }
                 } catch (parseError) {
                     console.warn('Could not parse signature for preview:', parseError);
@@ -1094,9 +2476,9 @@
                 const summaryText = `Signed file: ${file.name} (${formatBytes(file.size)})`;
                 collapseSection(elements.signedFileSection, summaryText);
 
-                // Known key lookup for clearsigned files only (inline-signed PGP MESSAGE format is rare
+                // Saved or known key lookup for clearsigned files only (inline-signed PGP MESSAGE format is rare
                 // for distro releases and skipped here to keep parse overhead minimal)
-                if (window.KnownKeysAddon && !state.publicKey) {
+                if ((window.LocalKeyring || window.KnownKeysAddon) && !state.publicKey) {
                     try {
                         // Second read: earlier preview was only 2000 bytes, insufficient for full clearsign parse
                         const fileText = await readFileAsText(file);
@@ -1104,16 +2486,9 @@
                         if (fileType === SIGNATURE_TYPES.CLEARSIGNED) {
                             const parsedMsg = await openpgp.readCleartextMessage({ cleartextMessage: fileText });
                             const fileSigPacket = parsedMsg.signature && parsedMsg.signature.packets && parsedMsg.signature.packets[0];
-                            const fileSignerKeyID = fileSigPacket && fileSigPacket.issuerKeyID && fileSigPacket.issuerKeyID.toHex
-                                ? fileSigPacket.issuerKeyID.toHex() : null;
-                            if (fileSignerKeyID) {
-                                const fileKnownMatch = window.KnownKeysAddon.checkAndPrompt(fileSignerKeyID);
-                                if (fileKnownMatch) {
-                                    window.KnownKeysAddon.showBanner(fileKnownMatch,
-                                        () => loadKnownKey(fileKnownMatch),
-                                        () => {}
-                                    );
-                                }
+                            const fileIssuer = getIssuer(fileSigPacket);
+                            if (fileIssuer) {
+                                await offerKeyForSigner(fileIssuer);
                             }
                         }
                     } catch (_) { /* silently skip */ }
@@ -1193,22 +2568,15 @@
             const summaryText = `Pasted signed text (${text.length} characters)`;
             collapseSection(elements.signedFileSection, summaryText);
 
-            // Known key lookup for pasted clearsigned text
-            if (window.KnownKeysAddon && !state.publicKey) {
+            // Saved or known key lookup for pasted clearsigned text
+            if ((window.LocalKeyring || window.KnownKeysAddon) && !state.publicKey) {
                 try {
                     if (text.includes(PGP_MARKERS.SIGNED_MESSAGE)) {
                         const parsedText = await openpgp.readCleartextMessage({ cleartextMessage: text });
                         const textSigPacket = parsedText.signature && parsedText.signature.packets && parsedText.signature.packets[0];
-                        const textSignerKeyID = textSigPacket && textSigPacket.issuerKeyID && textSigPacket.issuerKeyID.toHex
-                            ? textSigPacket.issuerKeyID.toHex() : null;
-                        if (textSignerKeyID) {
-                            const textKnownMatch = window.KnownKeysAddon.checkAndPrompt(textSignerKeyID);
-                            if (textKnownMatch) {
-                                window.KnownKeysAddon.showBanner(textKnownMatch,
-                                    () => loadKnownKey(textKnownMatch),
-                                    () => {}
-                                );
-                            }
+                        const textIssuer = getIssuer(textSigPacket);
+                        if (textIssuer) {
+                            await offerKeyForSigner(textIssuer);
                         }
                     }
                 } catch (_) { /* silently skip */ }
@@ -1350,6 +2718,8 @@
         // Clear all state and inputs
         clearPublicKey();
         clearSignedFile();
+        clearExpectedFingerprint();
+        clearOwnertrust();
 
         // Hide results and checksum section
         elements.resultContainer.style.display = 'none';
@@ -1590,7 +2960,8 @@
                     verificationResult = await openpgp.verify({
                         message: message,
                         signature: signature,
-                        verificationKeys: verificationKeys
+                        verificationKeys: verificationKeys,
+                        config: getVerifyConfig(state.policyProfile)
                     });
                     console.log('verify() returned');
                     console.log('verificationResult properties:', Object.keys(verificationResult));
@@ -1642,14 +3013,10 @@
                         console.warn('No verificationResult.data property!');
                     }
 
-                    // Now check signature validity after consuming the stream
-                    console.log('Checking signature validity...');
+                    // Signature validity is checked for every signature once the stream is consumed
                     showProgress(97, 'Checking signature...');
-                    const signatures = await verificationResult.signatures;
-                    const isValid = await signatures[0].verified;
-
                     clearInterval(heartbeatInterval);
-                    console.log(`Verification complete! Valid: ${isValid}`);
+                    console.log(`Verification stream complete: ${verificationResult.signatures.length} signature(s) to check`);
                     console.log(`Total data verified: ${formatBytes(consumedBytes)}`);
                 } catch (error) {
                     clearInterval(heartbeatInterval);
@@ -1692,7 +3059,8 @@
                 showProgress(PROGRESS_STAGES.VERIFY.percent, PROGRESS_STAGES.VERIFY.text);
                 verificationResult = await openpgp.verify({
                     message: message,
-                    verificationKeys: verificationKeys
+                    verificationKeys: verificationKeys,
+                    config: getVerifyConfig(state.policyProfile)
                 });
             }
 
@@ -1702,26 +3070,23 @@
             showProgress(PROGRESS_STAGES.COMPLETE.percent, PROGRESS_STAGES.COMPLETE.text);
 
             try {
-                for (const signatureEntry of verificationResult.signatures) {
-                    await signatureEntry.verified;
+                const reports = await applyWebOfTrust(await applyTofuHistory(applyPolicy(
+                    applyFingerprintPin(
+                        await evaluateSignatures(verificationResult.signatures, verificationKeys, signatureType),
+                        state.expectedFingerprint
+                    ),
+                    state.policyProfile
+                )));
+                const { validCount } = summarizeSignatures(reports);
+                reports.forEach(r => console.log(`Signature ${r.index}: ${r.keyID} ${r.status}${r.error ? ` (${r.error})` : ''}`));
+
+                if (validCount === 0) {
+                    if (!state.verificationAborted) {
+                        showInvalid(reports.find(r => r.error)?.error || 'No signatures found', reports);
+                    }
+                    return;
                 }
 
-                // Find which key was used for signing without falling back to an unrelated loaded key
-                const primarySignature = verificationResult.signatures[0];
-                const { keyID } = primarySignature;
-                const signingKey = verificationKeys.find(k => {
-                    return k.getKeyIDs().some(id => id.equals(keyID));
-                });
-
-                const keyInfo = signingKey
-                    ? formatKeyInfo(signingKey, signatureType)
-                    : {
-                        userID: `Key ID ${keyID ? keyID.toHex().toUpperCase() : 'Unknown'}`,
-                        fingerprint: 'Unavailable',
-                        created: 'Unknown',
-                        signatureType: signatureType === 'detached' ? 'Detached Signature' : signatureType
-                    };
-
                 // Extract verified data for checksum detection
                 let verifiedData = verifiedDataContent; // Use detached signature data if available
 
@@ -1743,7 +3108,7 @@
                 }
 
                 console.log('Passing verified data to showSuccess:', verifiedData ? `${verifiedData.length} chars` : 'null');
-                showSuccess(keyInfo, verifiedData);
+                showSuccess(reports, signatureType, verifiedData);
             } catch (error) {
                 // Don't show invalid signature if verification was aborted
                 if (!state.verificationAborted) {
@@ -1822,6 +3187,13 @@
         elements.keyFileInput.addEventListener('change', handleKeyFileUpload);
         elements.keyTextArea.addEventListener('input', handleKeyTextPaste);
         elements.clearKeyBtn.addEventListener('click', clearPublicKey);
+        if (elements.expectedFingerprintInput) {
+            elements.expectedFingerprintInput.addEventListener('input', handleExpectedFingerprintInput);
+        }
+        if (elements.ownertrustFileInput) {
+            elements.ownertrustFileInput.addEventListener('change', handleOwnertrustUpload);
+            elements.clearOwnertrustBtn.addEventListener('click', clearOwnertrust);
+        }
 
         // Signed File Events
         elements.signedFileInput.addEventListener('change', handleSignedFileUpload);
@@ -1839,6 +3211,10 @@
         if (elements.themeToggle) {
             elements.themeToggle.addEventListener('click', toggleTheme);
         }
+        if (elements.policySelect) {
+            elements.policySelect.addEventListener('change', handlePolicyChange);
+        }
+        elements.result.addEventListener('click', handleTofuAccept);
     }
 
     // ============================================================================
@@ -1847,6 +3223,7 @@
 
     function initialize() {
         loadThemePreference();
+        loadPolicyPreference();
 
         // Check if OpenPGP.js loaded successfully
         if (typeof openpgp === 'undefined') {
@@ -1861,6 +3238,8 @@
         // Clear all inputs and state on page load (prevents browser caching issues)
         clearPublicKey();
         clearSignedFile();
+        clearExpectedFingerprint();
+        clearOwnertrust();
         elements.resultContainer.style.display = 'none';
         if (window.ChecksumVerifier) {
             window.ChecksumVerifier.hideChecksumSection();
@@ -1869,6 +3248,13 @@
         // Initialize event listeners
         initializeEventListeners();
 
+        if (window.LocalKeyring) {
+            window.LocalKeyring.init({
+                getLoadedKeys: () => state.publicKeyObjects,
+                onUseKey: loadSavedKey
+            });
+        }
+
         // Log initialization
         console.log('GPG Signature Verifier initialized');
         console.log('OpenPGP.js version:', openpgp.config.versionString);
@@ -20,8 +20,10 @@
         queue: document.getElementById('checksum-queue')
     };
 
-    // Store parsed checksums
-    let parsedChecksums = {};
+    // Store parsed checksums; paths come from the manifest, so the map has no prototype
+    let parsedChecksums = Object.create(null);
+    let manifestConflicts = []; // Entries listed more than once with different digests
+    let unsupportedEntries = []; // Lines whose algorithm cannot be calculated here
     let verifiedContent = '';
     let verifiedFiles = new Set(); // Track which files have been successfully verified
 
@@ -36,7 +38,57 @@
         currentFile: null
     };
 
-    const SHA256_HEX_LENGTH = 64;
+    // Supported checksum algorithms: digest length in hex, hash-wasm constructor, and whether
+    // the algorithm is too weak to rule out deliberate tampering
+    const HASH_ALGORITHMS = {
+        'MD5': { hexLength: 32, factory: 'createMD5', weak: true },
+        'SHA-1': { hexLength: 40, factory: 'createSHA1', weak: true },
+        'SHA-224': { hexLength: 56, factory: 'createSHA224', weak: false },
+        'SHA-256': { hexLength: 64, factory: 'createSHA256', weak: false },
+        'SHA-384': { hexLength: 96, factory: 'createSHA384', weak: false },
+        'SHA-512': { hexLength: 128, factory: 'createSHA512', weak: false },
+        'BLAKE2b-512': { hexLength: 128, factory: 'createBLAKE2b', bits: 512, weak: false }
+    };
+
+    // b2sum -l N writes N-bit BLAKE2b digests; sizes down to SHA-224's 224 bits are accepted
+    for (let bits = 224; bits < 512; bits += 8) {
+        HASH_ALGORITHMS[`BLAKE2b-${bits}`] = { hexLength: bits / 4, factory: 'createBLAKE2b', bits, weak: false };
+    }
+
+    // BSD-style tags (SHA512 (file) = hash), compared upper-case with dashes removed
+    const BSD_TAGS = {
+        'MD5': 'MD5',
+        'SHA1': 'SHA-1',
+        'SHA224': 'SHA-224',
+        'SHA256': 'SHA-256',
+        'SHA384': 'SHA-384',
+        'SHA512': 'SHA-512',
+        'BLAKE2B': 'BLAKE2b-512',
+        'BLAKE2B512': 'BLAKE2b-512'
+    };
+
+    // Checksum file names that name their algorithm (SHA512SUMS, CHECKSUM.SHA512, b2sums.txt, MD5SUMS)
+    const FILENAME_HINTS = [
+        [/b2sums?|blake2b?/i, 'BLAKE2b-512'],
+        [/sha-?512/i, 'SHA-512'],
+        [/sha-?384/i, 'SHA-384'],
+        [/sha-?256/i, 'SHA-256'],
+        [/sha-?224/i, 'SHA-224'],
+        [/sha-?1(?!\d)/i, 'SHA-1'],
+        [/md5/i, 'MD5']
+    ];
+
+    // Digests without a tag or file name hint; 128 hex digits default to SHA-512
+    const ALGORITHMS_BY_LENGTH = {
+        32: 'MD5',
+        40: 'SHA-1',
+        56: 'SHA-224',
+        64: 'SHA-256',
+        96: 'SHA-384',
+        128: 'SHA-512'
+    };
+
+    const DIGEST_PATTERN = '[0-9a-f]{32,128}';
 
     /**
      * Escapes HTML special characters before rendering untrusted text
@@ -58,29 +110,79 @@
      * @returns {boolean} True if checksums detected
      */
     function containsChecksums(content) {
-        // SHA-256 standard format: hash  filename
-        const standardPattern = /^([0-9a-f]{64})\s+([^\s].+)$/gim;
-        if (standardPattern.test(content)) return true;
+        return Object.keys(parseChecksums(content).checksums).length > 0;
+    }
 
-        // BSD/Fedora SHA-256 format: SHA256 (filename) = hash
-        const bsdPattern = /^SHA256\s*\([^)]+\)\s*=\s*([0-9a-f]{64})/gim;
-        if (bsdPattern.test(content)) return true;
+    /**
+     * Normalizes a path from a checksum line, keeping its directories
+     * @param {string} filename - Path as written in the checksum file
+     * @returns {string} Path with forward slashes and no leading ./
+     */
+    function normalizeChecksumPath(filename) {
+        return filename.trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+    }
 
-        // Colon format: filename: hash
-        const colonPattern = /^(.+?):\s*([0-9a-f]{64})$/gim;
-        if (colonPattern.test(content)) return true;
+    /**
+     * Returns the last component of a normalized checksum path
+     * @param {string} checksumPath - Normalized path
+     * @returns {string} File name
+     */
+    function getBasename(checksumPath) {
+        return checksumPath.split('/').pop();
+    }
 
-        return false;
+    /**
+     * Guesses the checksum algorithm from the checksum file's own name
+     * @param {string|null} sourceName - Name of the signed checksum file, if known
+     * @returns {string|null} Algorithm name, or null when the name gives no hint
+     */
+    function getAlgorithmHint(sourceName) {
+        if (!sourceName) return null;
+        const basename = sourceName.split(/[\/\\]/).pop();
+        const hint = FILENAME_HINTS.find(([pattern]) => pattern.test(basename));
+        return hint ? hint[1] : null;
     }
 
     /**
      * Parses checksum file content
      * @param {string} content - Checksum file content
-     * @returns {object} Parsed checksums { filename: hash }
+     * @param {string|null} sourceName - Name of the checksum file, used to tell same-length algorithms apart
+     * @returns {object} { checksums: { path: [{ algorithm, hash }] }, conflicts: [{ filename, algorithm, hashes }], unsupported: [{ filename, tag, hexLength }] }
      */
-    function parseChecksums(content) {
-        const checksums = {};
+    function parseChecksums(content, sourceName = null) {
+        // No prototype: listed paths such as __proto__ or hasOwnProperty are plain keys
+        const checksums = Object.create(null);
+        const conflicts = [];
+        const unsupported = [];
         const lines = content.split('\n');
+        const hint = getAlgorithmHint(sourceName);
+
+        const addChecksum = (filename, hash, tag = null) => {
+            // Keep the relative path so amd64/netinst.iso and arm64/netinst.iso stay separate
+            filename = normalizeChecksumPath(filename);
+            const algorithm = getHashAlgorithm(hash, tag, hint);
+            if (algorithm === 'Unsupported') {
+                // Listed rather than dropped, so a missing entry is never a surprise
+                unsupported.push({ filename, tag, hexLength: hash.length });
+                return;
+            }
+            hash = hash.toLowerCase();
+            // Manifests such as Fedora CHECKSUM list several algorithms for the same file
+            const digests = filename in checksums ? checksums[filename] : (checksums[filename] = []);
+            const existing = digests.find(digest => digest.algorithm === algorithm);
+            if (existing && existing.hash !== hash) {
+                // The same file listed twice with different digests: the manifest contradicts itself
+                const conflict = conflicts.find(c => c.filename === filename && c.algorithm === algorithm);
+                if (conflict) {
+                    if (!conflict.hashes.includes(hash)) conflict.hashes.push(hash);
+                } else {
+                    conflicts.push({ filename, algorithm, hashes: [existing.hash, hash] });
+                }
+            }
+            if (!digests.some(digest => digest.algorithm === algorithm && digest.hash === hash)) {
+                digests.push({ algorithm, hash });
+            }
+        };
 
         for (const line of lines) {
             const trimmed = line.trim();
@@ -89,57 +191,120 @@
             // Try multiple formats:
 
             // Format 1: Standard format (hash  filename) or (hash *filename for binary)
-            let match = trimmed.match(/^([0-9a-f]{64})\s+[\*\s]?(.+)$/i);
+            let match = trimmed.match(new RegExp(`^(${DIGEST_PATTERN})\\s+[\\*\\s]?(.+)$`, 'i'));
             if (match) {
-                const hash = match[1].toLowerCase();
-                let filename = match[2].trim();
-                // Remove path components, keep just filename
-                filename = filename.split(/[\/\\]/).pop();
-                checksums[filename] = hash;
+                addChecksum(match[2], match[1]);
                 continue;
             }
 
-            // Format 2: BSD/Fedora format (SHA256 (filename) = hash)
-            match = trimmed.match(/^SHA256\s*\(([^)]+)\)\s*=\s*([0-9a-f]{64})/i);
+            // Format 2: BSD/Fedora format (SHA256 (filename) = hash, BLAKE2b (filename) = hash)
+            match = trimmed.match(new RegExp(`^([A-Z0-9-]+)\\s*\\((.+)\\)\\s*=\\s*(${DIGEST_PATTERN})$`, 'i'));
             if (match) {
-                let filename = match[1].trim();
-                const hash = match[2].toLowerCase();
-                // Remove path components, keep just filename
-                filename = filename.split(/[\/\\]/).pop();
-                checksums[filename] = hash;
+                addChecksum(match[2], match[3], match[1]);
                 continue;
             }
 
             // Format 3: hash = filename format
-            match = trimmed.match(/^([0-9a-f]{64})\s*=\s*(.+)$/i);
+            match = trimmed.match(new RegExp(`^(${DIGEST_PATTERN})\\s*=\\s*(.+)$`, 'i'));
             if (match) {
-                const hash = match[1].toLowerCase();
-                let filename = match[2].trim();
-                filename = filename.split(/[\/\\]/).pop();
-                checksums[filename] = hash;
+                addChecksum(match[2], match[1]);
                 continue;
             }
 
             // Format 4: filename: hash format
-            match = trimmed.match(/^(.+?):\s*([0-9a-f]{64})$/i);
+            match = trimmed.match(new RegExp(`^(.+?):\\s*(${DIGEST_PATTERN})$`, 'i'));
             if (match) {
-                let filename = match[1].trim();
-                const hash = match[2].toLowerCase();
-                filename = filename.split(/[\/\\]/).pop();
-                checksums[filename] = hash;
+                addChecksum(match[1], match[2]);
             }
         }
 
-        return checksums;
+        return { checksums, conflicts, unsupported };
     }
 
     /**
-     * Determines hash algorithm from hash length
+     * Determines the hash algorithm from a BSD tag, the checksum file name, or the digest length
      * @param {string} hash - Hash string
-     * @returns {string} Algorithm name
+     * @param {string|null} tag - BSD-style tag from the checksum line, if any
+     * @param {string|null} hint - Algorithm suggested by the checksum file name, if any
+     * @returns {string} Algorithm name, or 'Unsupported'
+     */
+    function getHashAlgorithm(hash, tag = null, hint = null) {
+        if (!hash) return 'Unsupported';
+
+        if (tag) {
+            const normalizedTag = tag.toUpperCase().replace(/-/g, '');
+            // b2sum -l 256 --tag writes BLAKE2b-256 (file) = hash
+            const blake2bSize = /^BLAKE2B(\d+)$/.exec(normalizedTag);
+            const tagged = blake2bSize ? `BLAKE2b-${blake2bSize[1]}` : BSD_TAGS[normalizedTag];
+            return tagged && HASH_ALGORITHMS[tagged] && HASH_ALGORITHMS[tagged].hexLength === hash.length ? tagged : 'Unsupported';
+        }
+        if (hint && HASH_ALGORITHMS[hint].factory === 'createBLAKE2b') {
+            // A b2sums file made with b2sum -l holds shorter digests; they are never SHA-2
+            const sized = `BLAKE2b-${hash.length * 4}`;
+            return HASH_ALGORITHMS[sized] ? sized : 'Unsupported';
+        }
+        if (hint && HASH_ALGORITHMS[hint].hexLength === hash.length) {
+            return hint;
+        }
+        return ALGORITHMS_BY_LENGTH[hash.length] || 'Unsupported';
+    }
+
+    /**
+     * Lists the distinct algorithms used in a set of parsed checksums
+     * @param {object} checksums - Parsed checksums
+     * @returns {string[]} Algorithm names in first-seen order
+     */
+    function getChecksumAlgorithms(checksums) {
+        const algorithms = Object.values(checksums).flatMap(digests => digests.map(digest => digest.algorithm));
+        return [...new Set(algorithms)];
+    }
+
+    /**
+     * Finds the checksum entries an uploaded file could correspond to
+     * Folder uploads carry a relative path; other uploads match a top-level entry, then any basename
+     * @param {File} file - Uploaded file
+     * @returns {string[]} Checksum paths; more than one means the basename is ambiguous
      */
-    function getHashAlgorithm(hash) {
-        return hash && hash.length === SHA256_HEX_LENGTH ? 'SHA-256' : 'Unsupported';
+    function findChecksumCandidates(file) {
+        const paths = Object.keys(parsedChecksums);
+
+        if (file.webkitRelativePath) {
+            // The relative path starts with the chosen folder, so listed paths may be a suffix of it
+            const relativePath = normalizeChecksumPath(file.webkitRelativePath);
+            const byPath = paths
+                .filter(listed => relativePath === listed || relativePath.endsWith(`/${listed}`))
+                .sort((a, b) => b.length - a.length);
+            if (byPath.length > 0) return [byPath[0]];
+        }
+        if (file.name in parsedChecksums) return [file.name];
+
+        return paths.filter(listed => getBasename(listed) === file.name);
+    }
+
+    /**
+     * Collects basenames shared by more than one checksum path
+     * @param {object} checksums - Parsed checksums
+     * @returns {Set<string>} Ambiguous basenames
+     */
+    function getAmbiguousBasenames(checksums) {
+        const seen = new Set();
+        const ambiguous = new Set();
+        for (const listed of Object.keys(checksums)) {
+            const basename = getBasename(listed);
+            if (seen.has(basename)) ambiguous.add(basename);
+            seen.add(basename);
+        }
+        return ambiguous;
+    }
+
+    /**
+     * Explains why a weak algorithm only proves the download is intact, not authentic
+     * @param {string} algorithm - Algorithm name
+     * @returns {string} Warning text, or an empty string for strong algorithms
+     */
+    function getWeakAlgorithmWarning(algorithm) {
+        if (!HASH_ALGORITHMS[algorithm] || !HASH_ALGORITHMS[algorithm].weak) return '';
+        return `${algorithm} is broken: it detects accidental corruption, but an attacker can craft a different file with the same checksum.`;
     }
 
     /**
@@ -184,37 +349,72 @@
     }
 
     /**
-     * Calculates SHA-256 hash of a file using maximum performance approach
-     * Uses WebAssembly when available for near-native sha256sum performance
+     * Checks whether hash-wasm provides a WebAssembly hasher for an algorithm
+     * @param {string} algorithm - Algorithm name
+     * @returns {boolean} True if the hasher can be created
+     */
+    function hasWasmHasher(algorithm) {
+        const spec = HASH_ALGORITHMS[algorithm];
+        return Boolean(spec) && typeof hashwasm !== 'undefined' && typeof hashwasm[spec.factory] === 'function';
+    }
+
+    /**
+     * Creates a hash-wasm hasher instance for an algorithm
+     * @param {string} algorithm - Algorithm name
+     * @returns {Promise<object>} Hasher with update() and digest()
+     */
+    function createWasmHasher(algorithm) {
+        const spec = HASH_ALGORITHMS[algorithm];
+        return spec.bits ? hashwasm[spec.factory](spec.bits) : hashwasm[spec.factory]();
+    }
+
+    /**
+     * Calculates file hashes using maximum performance approach
+     * Reads the file once and feeds every chunk to one hasher per algorithm.
+     * Uses WebAssembly when available for near-native sha256sum performance; the
+     * js-sha256 fallbacks only cover SHA-256 on its own
      * @param {File} file - File to hash
+     * @param {string[]} algorithms - Algorithm names from HASH_ALGORITHMS
      * @param {Function} progressCallback - Optional callback for progress updates (percent, bytes)
-     * @returns {Promise<string>} Hex hash string
+     * @returns {Promise<object>} Hex hash strings keyed by algorithm
      */
-    async function calculateFileHash(file, progressCallback) {
+    async function calculateFileHashes(file, algorithms, progressCallback) {
         const startTime = performance.now();
-        console.log(`Starting hash calculation for ${file.name} (${formatFileSize(file.size)})`);
+        console.log(`Starting ${algorithms.join(' + ')} hash calculation for ${file.name} (${formatFileSize(file.size)})`);
+
+        const unsupported = algorithms.find(algorithm => !HASH_ALGORITHMS[algorithm]);
+        if (unsupported) {
+            throw new Error(`Unsupported checksum algorithm: ${unsupported}`);
+        }
 
         // Check what's available
         console.log('Available APIs:');
         console.log(`  - hashwasm: ${typeof hashwasm !== 'undefined' ? 'YES' : 'NO'}`);
-        console.log(`  - hashwasm.createSHA256: ${typeof hashwasm !== 'undefined' && hashwasm.createSHA256 ? 'YES' : 'NO'}`);
+        for (const algorithm of algorithms) {
+            console.log(`  - hashwasm.${HASH_ALGORITHMS[algorithm].factory}: ${hasWasmHasher(algorithm) ? 'YES' : 'NO'}`);
+        }
         console.log(`  - File.stream(): ${file.stream && typeof file.stream === 'function' ? 'YES' : 'NO'}`);
         console.log(`  - WebAssembly: ${typeof WebAssembly !== 'undefined' ? 'YES' : 'NO'}`);
 
+        const missing = algorithms.filter(algorithm => !hasWasmHasher(algorithm));
         let result;
         let method;
 
         // Try WebAssembly implementation first (fastest - near-native performance)
-        if (typeof hashwasm !== 'undefined' && hashwasm.createSHA256) {
-            console.log('🚀 Using WebAssembly SHA-256 (near-native performance!)');
+        if (missing.length === 0) {
+            console.log(`🚀 Using WebAssembly ${algorithms.join(' + ')} (near-native performance!)`);
             method = 'WebAssembly';
-            result = await calculateHashWASM(file, progressCallback);
+            result = await calculateHashesWASM(file, algorithms, progressCallback);
+        }
+        // Only SHA-256 has a pure JavaScript fallback
+        else if (algorithms.length !== 1 || algorithms[0] !== 'SHA-256') {
+            throw new Error(`The WebAssembly hashing library did not load, so ${missing.join(', ')} cannot be calculated. Please refresh the page.`);
         }
         // Try to use native ReadableStream from File API (fast)
         else if (file.stream && typeof file.stream === 'function') {
             console.log('⚡ Using native File.stream() API with js-sha256');
             method = 'File.stream() + js-sha256';
-            result = await calculateHashWithFileStream(file, progressCallback);
+            result = { 'SHA-256': await calculateHashWithFileStream(file, progressCallback) };
         }
         // Fallback to optimized chunked reading
         else {
@@ -222,7 +422,7 @@
             const chunks = Math.ceil(file.size / chunkSize);
             console.log(`📦 Using optimized chunked reading: ${chunks} chunks of ${formatFileSize(chunkSize)}`);
             method = 'Chunked reading + js-sha256';
-            result = await calculateHashStreaming(file, chunkSize, chunks, progressCallback);
+            result = { 'SHA-256': await calculateHashStreaming(file, chunkSize, chunks, progressCallback) };
         }
 
         const endTime = performance.now();
@@ -231,19 +431,25 @@
 
         console.log(`✅ Hash complete in ${duration}s using ${method}`);
         console.log(`   Throughput: ${throughput} MB/s`);
-        console.log(`   Hash: ${result}`);
+        for (const [algorithm, hashHex] of Object.entries(result)) {
+            console.log(`   ${algorithm}: ${hashHex}`);
+        }
 
         return result;
     }
 
     /**
-     * Ultra-fast WebAssembly SHA-256 hashing
-     * This achieves near-native sha256sum performance (2-5 seconds for multi-GB files)
+     * Ultra-fast WebAssembly hashing for any set of supported algorithms
+     * This achieves near-native sha256sum performance (2-5 seconds for multi-GB files);
+     * each chunk is read once and passed to every hasher
      */
-    async function calculateHashWASM(file, progressCallback) {
+    async function calculateHashesWASM(file, algorithms, progressCallback) {
         try {
-            // Create WASM hasher instance
-            const hasher = await hashwasm.createSHA256();
+            // Create one WASM hasher instance per algorithm
+            const hashers = await Promise.all(algorithms.map(createWasmHasher));
+            const digestAll = () => Object.fromEntries(
+                algorithms.map((algorithm, index) => [algorithm, hashers[index].digest('hex')])
+            );
 
             // Use native file stream for optimal I/O
             if (file.stream && typeof file.stream === 'function') {
@@ -252,7 +458,7 @@
 
                 let processedBytes = 0;
                 let lastProgressUpdate = 0;
-                const progressInterval = 100 * 1024 * 1024; // Update every 100MB (less UI overhead)
+                const progressInterval = 250 * 1024 * 1024; // Update every 250MB (less UI overhead)
 
                 try {
                     // Hot loop - no checks, minimal overhead for maximum throughput
@@ -263,12 +469,13 @@
                             break;
                         }
 
-                        // Update WASM hash with this chunk (no overhead)
-                        hasher.update(value);
+                        // Update every WASM hash with this chunk (no overhead)
+                        for (const hasher of hashers) {
+                            hasher.update(value);
+                        }
                         processedBytes += value.length;
 
-                        // Only update progress every 250MB to minimize overhead
-                        if (processedBytes - lastProgressUpdate >= 250 * 1024 * 1024) {
+                        if (processedBytes - lastProgressUpdate >= progressInterval) {
                             // Quick abort check only during progress updates
                             if (checksumState.verificationAborted) {
                                 reader.releaseLock();
@@ -288,10 +495,10 @@
                         progressCallback(100, processedBytes);
                     }
 
-                    // Finalize and get hash
-                    const hashHex = hasher.digest('hex');
-                    console.log(`WASM hash complete: ${hashHex} (${formatFileSize(processedBytes)} processed)`);
-                    return hashHex;
+                    // Finalize and get hashes
+                    const hashes = digestAll();
+                    console.log(`WASM hash complete: ${algorithms.join(' + ')} (${formatFileSize(processedBytes)} processed)`);
+                    return hashes;
 
                 } catch (error) {
                     reader.releaseLock();
@@ -311,9 +518,11 @@
                     const start = chunkIndex * chunkSize;
                     const end = Math.min(start + chunkSize, file.size);
                     const blob = file.slice(start, end);
-                    const arrayBuffer = await blob.arrayBuffer();
+                    const chunk = new Uint8Array(await blob.arrayBuffer());
 
-                    hasher.update(new Uint8Array(arrayBuffer));
+                    for (const hasher of hashers) {
+                        hasher.update(chunk);
+                    }
                     processedBytes = end;
 
                     const percent = Math.min(99, Math.round((processedBytes / file.size) * 100));
@@ -326,19 +535,23 @@
                     progressCallback(100, processedBytes);
                 }
 
-                const hashHex = hasher.digest('hex');
-                console.log(`WASM hash complete: ${hashHex} (${formatFileSize(processedBytes)} processed)`);
-                return hashHex;
+                const hashes = digestAll();
+                console.log(`WASM hash complete: ${algorithms.join(' + ')} (${formatFileSize(processedBytes)} processed)`);
+                return hashes;
             }
         } catch (error) {
+            // Only SHA-256 on its own can fall back to js-sha256
+            if (algorithms.length !== 1 || algorithms[0] !== 'SHA-256') {
+                throw error;
+            }
             console.error('WASM hashing failed, falling back:', error);
             // Fall back to js-sha256 if WASM fails
             if (file.stream && typeof file.stream === 'function') {
-                return await calculateHashWithFileStream(file, progressCallback);
+                return { 'SHA-256': await calculateHashWithFileStream(file, progressCallback) };
             } else {
                 const chunkSize = 256 * 1024 * 1024;
                 const chunks = Math.ceil(file.size / chunkSize);
-                return await calculateHashStreaming(file, chunkSize, chunks, progressCallback);
+                return { 'SHA-256': await calculateHashStreaming(file, chunkSize, chunks, progressCallback) };
             }
         }
     }
@@ -459,26 +672,55 @@
      */
     function displayChecksumList(checksums) {
         const count = Object.keys(checksums).length;
-        const algorithm = count > 0 ? getHashAlgorithm(Object.values(checksums)[0]) : 'Unknown';
+        const algorithms = getChecksumAlgorithms(checksums);
+        const isMixed = algorithms.length > 1;
         const verifiedCount = verifiedFiles.size;
+        const weakWarnings = algorithms.map(getWeakAlgorithmWarning).filter(Boolean);
+        const ambiguousBasenames = getAmbiguousBasenames(checksums);
+        const conflictedFiles = new Set(manifestConflicts.map(conflict => conflict.filename));
 
         let html = `
             <div class="checksum-info">
                 <p><strong>Found ${count} checksum(s) in this file:</strong></p>
-                <p class="checksum-algorithm">Algorithm: ${escapeHTML(algorithm)}</p>
+                <p class="checksum-algorithm">Algorithm: ${escapeHTML(algorithms.join(', ') || 'Unknown')}</p>
+                ${manifestConflicts.length > 0 ? `
+                <div class="checksum-manifest-error">
+                    <p><strong>⚠ Manifest error:</strong> this checksum file lists some files more than once with different checksums. They cannot be verified:</p>
+                    <ul>
+                        ${manifestConflicts.map(conflict => `<li><code>${escapeHTML(conflict.filename)}</code> has ${conflict.hashes.length} different ${escapeHTML(conflict.algorithm)} checksums</li>`).join('')}
+                    </ul>
+                </div>` : ''}
+                ${unsupportedEntries.length > 0 ? `
+                <div class="checksum-unsupported">
+                    <p><strong>⚠ Not checked:</strong> these lines use an unsupported algorithm, or a checksum of the wrong length for their algorithm:</p>
+                    <ul>
+                        ${unsupportedEntries.map(entry => `<li><code>${escapeHTML(entry.filename)}</code> (${escapeHTML(entry.tag || 'untagged')}, ${entry.hexLength} hex digits)</li>`).join('')}
+                    </ul>
+                </div>` : ''}
+                ${ambiguousBasenames.size > 0 ? `
+                <p class="checksum-ambiguous-note">⚠ Several entries share a file name (${escapeHTML([...ambiguousBasenames].join(', '))}). A file uploaded under that name is matched to an entry by its checksum.</p>` : ''}
+                ${weakWarnings.map(warning => `<p class="checksum-weak-algorithm">⚠ ${escapeHTML(warning)}</p>`).join('')}
                 ${verifiedCount > 0 ? `<p class="checksum-verified-count">✓ ${verifiedCount} of ${count} verified</p>` : ''}
                 <ul class="checksum-items">
         `;
 
-        for (const [filename, hash] of Object.entries(checksums)) {
+        for (const [filename, digests] of Object.entries(checksums)) {
             const isVerified = verifiedFiles.has(filename);
-            const verifiedClass = isVerified ? ' verified' : '';
+            const verifiedClass = (isVerified ? ' verified' : '')
+                + (ambiguousBasenames.has(getBasename(filename)) ? ' ambiguous' : '')
+                + (conflictedFiles.has(filename) ? ' conflict' : '');
             const verifiedIcon = isVerified ? '<span class="checksum-verified-icon">✓</span> ' : '';
+            // Label each digest only when the file mixes algorithms
+            const digestsHtml = digests.map(digest => isMixed ? `
+                    <div class="checksum-digest">
+                        <span class="checksum-item-algorithm">${escapeHTML(digest.algorithm)}</span>
+                        <code class="checksum-hash">${escapeHTML(digest.hash)}</code>
+                    </div>` : `
+                    <code class="checksum-hash">${escapeHTML(digest.hash)}</code>`).join('');
 
             html += `
                 <li class="checksum-item${verifiedClass}">
-                    ${verifiedIcon}<span class="checksum-filename">${escapeHTML(filename)}</span>
-                    <code class="checksum-hash">${escapeHTML(hash)}</code>
+                    ${verifiedIcon}<span class="checksum-filename">${escapeHTML(filename)}</span>${digestsHtml}
                 </li>
             `;
         }
@@ -491,6 +733,20 @@
         checksumElements.list.innerHTML = html;
     }
 
+    /**
+     * Renders the expected and actual value of every digest checked for a file
+     * @param {Array} results - Checked digests [{ algorithm, hash, actual, matches }]
+     * @returns {string} Definition list items, one group per digest
+     */
+    function renderDigestResults(results) {
+        return results.map(result => result.matches ? `
+                            <dt class="checksum-digest-result match">${escapeHTML(result.algorithm)} ✓</dt>
+                            <dd><code>${escapeHTML(result.actual)}</code></dd>` : `
+                            <dt class="checksum-digest-result mismatch">${escapeHTML(result.algorithm)} ✗</dt>
+                            <dd>Expected: <code>${escapeHTML(result.hash)}</code></dd>
+                            <dd>Actual: <code>${escapeHTML(result.actual)}</code></dd>`).join('');
+    }
+
     /**
      * Stops ongoing checksum verification
      */
@@ -570,7 +826,7 @@
         }
 
         // Check which files are not in the checksum list
-        const filesNotInList = files.filter(f => !parsedChecksums.hasOwnProperty(f.name));
+        const filesNotInList = files.filter(f => findChecksumCandidates(f).length === 0);
 
         if (filesNotInList.length > 0 && filesNotInList.length === files.length) {
             // ALL files not in list - show warning
@@ -690,41 +946,84 @@
         }
 
         try {
-            const algorithm = getHashAlgorithm(Object.values(parsedChecksums)[0]);
+            // Try path and filename matches first; several candidates mean the basename is ambiguous
+            const candidates = findChecksumCandidates(file);
+            const isAmbiguous = candidates.length > 1;
+
+            // Listed files need their candidates' algorithms; otherwise hash with every algorithm in
+            // the list so the file can be found by hash. Either way the file is read only once.
+            const algorithms = candidates.length > 0
+                ? [...new Set(candidates.flatMap(filename => parsedChecksums[filename].map(digest => digest.algorithm)))]
+                : getChecksumAlgorithms(parsedChecksums);
+            const algorithmText = algorithms.join(' + ');
 
             // Show initial progress
-            showProgress(0, `Calculating ${algorithm} checksum...`);
+            showProgress(0, `Calculating ${algorithmText} checksum...`);
 
             // Progress callback to update the UI
             const progressCallback = (percent, processedBytes) => {
                 const percentText = `${percent}%`;
                 const bytesText = `${formatFileSize(processedBytes)} / ${formatFileSize(file.size)}`;
-                showProgress(percent, `Calculating ${algorithm}: ${bytesText} (${percentText})`);
+                showProgress(percent, `Calculating ${algorithmText}: ${bytesText} (${percentText})`);
             };
 
-            const calculatedHash = await calculateFileHash(file, progressCallback);
+            const calculatedHashes = await calculateFileHashes(file, algorithms, progressCallback);
 
-            // Check against all checksums to find a match
             let matchedFilename = null;
-            let expectedHash = null;
-
-            // Try exact filename match first
-            if (parsedChecksums[file.name]) {
-                matchedFilename = file.name;
-                expectedHash = parsedChecksums[file.name];
+            if (candidates.length === 1) {
+                matchedFilename = candidates[0];
+            } else if (isAmbiguous) {
+                // Pick the same-named entry whose digests all match, if any
+                matchedFilename = candidates.find(filename =>
+                    parsedChecksums[filename].every(digest => calculatedHashes[digest.algorithm] === digest.hash)
+                ) || null;
             } else {
-                // Try to find by hash
-                for (const [filename, hash] of Object.entries(parsedChecksums)) {
-                    if (hash === calculatedHash) {
-                        matchedFilename = filename;
-                        expectedHash = hash;
-                        break;
-                    }
+                // Otherwise try to find by hash
+                matchedFilename = Object.keys(parsedChecksums).find(filename =>
+                    parsedChecksums[filename].some(digest => calculatedHashes[digest.algorithm] === digest.hash)
+                ) || null;
+            }
+            const conflicts = manifestConflicts.filter(conflict => conflict.filename === matchedFilename);
+
+            // Check every digest listed for the matched file
+            const digestResults = [];
+            if (matchedFilename) {
+                for (const digest of parsedChecksums[matchedFilename]) {
+                    const actual = calculatedHashes[digest.algorithm];
+                    digestResults.push({ ...digest, actual, matches: actual === digest.hash });
                 }
             }
+            const mismatchCount = digestResults.filter(result => !result.matches).length;
+
+            // Weak digests alone cannot rule out tampering; a strong digest listed alongside them can
+            const weakOnly = digestResults.every(result => HASH_ALGORITHMS[result.algorithm].weak);
+            const weakWarnings = weakOnly
+                ? [...new Set(digestResults.map(result => result.algorithm))].map(getWeakAlgorithmWarning)
+                : [];
 
             // Display result
-            if (matchedFilename && expectedHash === calculatedHash) {
+            if (conflicts.length > 0) {
+                // The signed list gives different digests for this file, so neither can be trusted
+                checksumElements.result.className = 'checksum-result checksum-error';
+                checksumElements.result.innerHTML = `
+                    <div class="checksum-result-icon">⚠</div>
+                    <div class="checksum-result-title">CHECKSUM MANIFEST ERROR</div>
+                    <div class="checksum-result-details">
+                        <p><strong>⚠️ The checksum file lists ${escapeHTML(matchedFilename)} more than once with different checksums.</strong></p>
+                        <dl class="checksum-result-info">
+                            ${conflicts.map(conflict => `
+                            <dt>Listed ${escapeHTML(conflict.algorithm)} checksums:</dt>
+                            ${conflict.hashes.map(hash => `<dd><code>${escapeHTML(hash)}</code></dd>`).join('')}
+                            <dt>Actual ${escapeHTML(conflict.algorithm)} checksum:</dt>
+                            <dd><code>${escapeHTML(calculatedHashes[conflict.algorithm])}</code></dd>`).join('')}
+                        </dl>
+                        <div class="checksum-warning">
+                            <p>⚠️ <strong>Do not rely on this checksum file for ${escapeHTML(matchedFilename)}.</strong> A signed list that contradicts itself may have been generated incorrectly or tampered with before signing.</p>
+                            <p>Get the checksums from the publisher again and report the problem to them.</p>
+                        </div>
+                    </div>
+                `;
+            } else if (matchedFilename && mismatchCount === 0) {
                 // Success! Mark file as verified
                 verifiedFiles.add(matchedFilename);
 
@@ -740,19 +1039,21 @@
                         <dl class="checksum-result-info">
                             <dt>Expected filename:</dt>
                             <dd>${escapeHTML(matchedFilename)}</dd>
-
-                            <dt>Algorithm:</dt>
-                            <dd>${escapeHTML(getHashAlgorithm(expectedHash))}</dd>
-
-                            <dt>Checksum:</dt>
-                            <dd><code>${escapeHTML(calculatedHash)}</code></dd>
+                            ${renderDigestResults(digestResults)}
                         </dl>
+                        ${isAmbiguous ? `
+                        <p class="checksum-ambiguous-note">⚠ ${candidates.length} entries are named ${escapeHTML(file.name)}; this file was matched to ${escapeHTML(matchedFilename)} by its checksum.</p>` : ''}
+                        ${weakOnly ? `
+                        ${weakWarnings.map(warning => `<p class="checksum-weak-algorithm">⚠ ${escapeHTML(warning)}</p>`).join('')}
+                        <p class="checksum-result-message">
+                            ✅ The file was not corrupted in transit. Prefer a SHA-256 or stronger checksum to rule out tampering.
+                        </p>` : `
                         <p class="checksum-result-message">
                             ✅ The file has not been corrupted or tampered with.
-                        </p>
+                        </p>`}
                     </div>
                 `;
-            } else if (expectedHash && expectedHash !== calculatedHash) {
+            } else if (matchedFilename) {
                 // Hash mismatch!
                 checksumElements.result.className = 'checksum-result checksum-error';
                 checksumElements.result.innerHTML = `
@@ -760,12 +1061,9 @@
                     <div class="checksum-result-title">CHECKSUM MISMATCH</div>
                     <div class="checksum-result-details">
                         <p><strong>⚠️ Warning: File integrity check failed!</strong></p>
+                        <p>${mismatchCount} of ${digestResults.length} listed checksum(s) for ${escapeHTML(matchedFilename)} do not match.</p>
                         <dl class="checksum-result-info">
-                            <dt>Expected checksum:</dt>
-                            <dd><code>${escapeHTML(expectedHash)}</code></dd>
-
-                            <dt>Actual checksum:</dt>
-                            <dd><code>${escapeHTML(calculatedHash)}</code></dd>
+                            ${renderDigestResults(digestResults)}
                         </dl>
                         <div class="checksum-warning">
                             <p>⚠️ <strong>Do not use this file!</strong> This may indicate:</p>
@@ -778,6 +1076,35 @@
                         </div>
                     </div>
                 `;
+            } else if (isAmbiguous) {
+                // Same-named entries exist but none has this file's checksums
+                checksumElements.result.className = 'checksum-result checksum-error';
+                checksumElements.result.innerHTML = `
+                    <div class="checksum-result-icon">✗</div>
+                    <div class="checksum-result-title">CHECKSUM MISMATCH</div>
+                    <div class="checksum-result-details">
+                        <p><strong>⚠️ Warning: File integrity check failed!</strong></p>
+                        <p>"<strong>${escapeHTML(file.name)}</strong>" is listed ${candidates.length} times, and this file matches none of them:</p>
+                        <ul>
+                            ${candidates.map(filename => `<li><code>${escapeHTML(filename)}</code></li>`).join('')}
+                        </ul>
+                        <div class="checksum-warning">
+                            <p>⚠️ <strong>Do not use this file!</strong> This may indicate:</p>
+                            <ul>
+                                <li>The file was corrupted during download</li>
+                                <li>The file has been tampered with</li>
+                                <li>You're verifying the wrong file</li>
+                            </ul>
+                            <p>Re-download the file from a trusted source and verify again.</p>
+                        </div>
+                        <details class="checksum-details">
+                            <summary>Show technical details</summary>
+                            ${Object.entries(calculatedHashes).map(([algorithm, hashHex]) => `
+                            <p><strong>Calculated ${escapeHTML(algorithm)}:</strong></p>
+                            <code class="checksum-hash">${escapeHTML(hashHex)}</code>`).join('')}
+                        </details>
+                    </div>
+                `;
             } else {
                 // Filename not found in checksum list - treat as error
                 checksumElements.result.className = 'checksum-result checksum-error';
@@ -803,8 +1130,9 @@
                         </div>
                         <details class="checksum-details">
                             <summary>Show technical details</summary>
-                            <p><strong>Calculated ${escapeHTML(getHashAlgorithm(Object.values(parsedChecksums)[0]))}:</strong></p>
-                            <code class="checksum-hash">${escapeHTML(calculatedHash)}</code>
+                            ${Object.entries(calculatedHashes).map(([algorithm, hashHex]) => `
+                            <p><strong>Calculated ${escapeHTML(algorithm)}:</strong></p>
+                            <code class="checksum-hash">${escapeHTML(hashHex)}</code>`).join('')}
                             <p class="checksum-hint">
                                 <strong>Available files in this checksum list:</strong>
                             </p>
@@ -878,8 +1206,9 @@
     /**
      * Shows checksum verification section
      * @param {string} content - Verified content to check for checksums
+     * @param {string|null} sourceName - Name of the signed checksum file (e.g. SHA512SUMS), if known
      */
-    function showChecksumSection(content) {
+    function showChecksumSection(content, sourceName = null) {
         console.log('ChecksumVerifier.showChecksumSection called with content:', content ? `${content.length} chars` : 'null/empty');
         console.log('Content preview:', content ? content.substring(0, 300) : 'N/A');
 
@@ -901,7 +1230,10 @@
         }
 
         verifiedContent = content;
-        parsedChecksums = parseChecksums(content);
+        const parsed = parseChecksums(content, sourceName);
+        parsedChecksums = parsed.checksums;
+        manifestConflicts = parsed.conflicts;
+        unsupportedEntries = parsed.unsupported;
         console.log('Parsed checksums:', parsedChecksums);
 
         if (Object.keys(parsedChecksums).length === 0) {
@@ -923,7 +1255,9 @@
      */
     function hideChecksumSection() {
         checksumElements.container.style.display = 'none';
-        parsedChecksums = {};
+        parsedChecksums = Object.create(null);
+        manifestConflicts = [];
+        unsupportedEntries = [];
         verifiedFiles.clear();
         verifiedContent = '';
         checksumElements.fileInput.value = '';
@@ -937,7 +1271,9 @@
     function initializeChecksumAddon() {
         // Clear all checksum-related inputs on page load (prevents browser caching)
         checksumElements.container.style.display = 'none';
-        parsedChecksums = {};
+        parsedChecksums = Object.create(null);
+        manifestConflicts = [];
+        unsupportedEntries = [];
         verifiedFiles.clear();
         verifiedContent = '';
         checksumState.isVerifying = false;
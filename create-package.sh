@@ -49,8 +49,18 @@ FILES_TO_COPY=(
     "app.js"
     "styles.css"
     "checksum-addon.js"
+    "fingerprint-formats.js"
+    "keyring-addon.js"
+    "tofu-addon.js"
+    "web-of-trust.js"
     "openpgp.min.js"
     "hash-wasm-sha256.min.js"
+    "hash-wasm-sha1.min.js"
+    "hash-wasm-sha224.min.js"
+    "hash-wasm-sha384.min.js"
+    "hash-wasm-sha512.min.js"
+    "hash-wasm-md5.min.js"
+    "hash-wasm-blake2b.min.js"
     "sha256.min.js"
     "README.md"
     "LICENSE"
@@ -119,7 +129,7 @@ echo -e "  ${GREEN}✓${NC} INSTALL.txt created"
 # Create checksums for verification
 echo -e "${YELLOW}→${NC} Generating checksums..."
 cd "${PACKAGE_DIR}"
-sha256sum index.html app.js styles.css checksum-addon.js openpgp.min.js hash-wasm-sha256.min.js sha256.min.js > SHA256SUMS.txt
+sha256sum index.html app.js styles.css checksum-addon.js fingerprint-formats.js keyring-addon.js tofu-addon.js web-of-trust.js openpgp.min.js hash-wasm-*.min.js sha256.min.js > SHA256SUMS.txt
 cd - > /dev/null
 echo -e "  ${GREEN}✓${NC} SHA256SUMS.txt created"
 
@@ -153,6 +163,7 @@ echo "  • styles.css - Styling"
 echo "  • checksum-addon.js - Checksum verification functionality"
 echo "  • openpgp.min.js - OpenPGP.js library (v6.3.0)"
 echo "  • hash-wasm-sha256.min.js - WebAssembly SHA-256 (high performance)"
+echo "  • hash-wasm-*.min.js - WebAssembly SHA-1/224/384/512, MD5 and BLAKE2b"
 echo "  • sha256.min.js - JavaScript SHA-256 (fallback)"
 echo "  • README.md - Full documentation"
 echo "  • SECURITY.md - Security information"
@@ -0,0 +1,569 @@
+/**
+ * Fingerprint Formats Addon for GPG Signature Verifier
+ * Renders a key fingerprint as the PGP word list, an OpenSSH-style randomart
+ * image and a QR code, so people can compare it by voice or with a phone camera.
+ * Everything is computed locally - nothing is fetched.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+    'use strict';
+
+    // PGP word list (Juola & Zimmermann): [even-position word, odd-position word] per byte value
+    const PGP_WORDS = [
+        ['aardvark', 'adroitness'], ['absurd', 'adviser'], ['accrue', 'aftermath'], ['acme', 'aggregate'],
+        ['adrift', 'alkali'], ['adult', 'almighty'], ['afflict', 'amulet'], ['ahead', 'amusement'],
+        ['aimless', 'antenna'], ['Algol', 'applicant'], ['allow', 'Apollo'], ['alone', 'armistice'],
+        ['ammo', 'article'], ['ancient', 'asteroid'], ['apple', 'Atlantic'], ['artist', 'atmosphere'],
+        ['assume', 'autopsy'], ['Athens', 'Babylon'], ['atlas', 'backwater'], ['Aztec', 'barbecue'],
+        ['baboon', 'belowground'], ['backfield', 'bifocals'], ['backward', 'bodyguard'], ['banjo', 'bookseller'],
+        ['beaming', 'borderline'], ['bedlamp', 'bottomless'], ['beehive', 'Bradbury'], ['beeswax', 'bravado'],
+        ['befriend', 'Brazilian'], ['Belfast', 'breakaway'], ['berserk', 'Burlington'], ['billiard', 'businessman'],
+        ['bison', 'butterfat'], ['blackjack', 'Camelot'], ['blockade', 'candidate'], ['blowtorch', 'cannonball'],
+        ['bluebird', 'Capricorn'], ['bombast', 'caravan'], ['bookshelf', 'caretaker'], ['brackish', 'celebrate'],
+        ['breadline', 'cellulose'], ['breakup', 'certify'], ['brickyard', 'chambermaid'], ['briefcase', 'Cherokee'],
+        ['Burbank', 'Chicago'], ['button', 'clergyman'], ['buzzard', 'coherence'], ['cement', 'combustion'],
+        ['chairlift', 'commando'], ['chatter', 'company'], ['checkup', 'component'], ['chisel', 'concurrent'],
+        ['choking', 'confidence'], ['chopper', 'conformist'], ['Christmas', 'congregate'], ['clamshell', 'consensus'],
+        ['classic', 'consulting'], ['classroom', 'corporate'], ['cleanup', 'corrosion'], ['clockwork', 'councilman'],
+        ['cobra', 'crossover'], ['commence', 'crucifix'], ['concert', 'cumbersome'], ['cowbell', 'customer'],
+        ['crackdown', 'Dakota'], ['cranky', 'decadence'], ['crowfoot', 'December'], ['crucial', 'decimal'],
+        ['crumpled', 'designing'], ['crusade', 'detector'], ['cubic', 'detergent'], ['dashboard', 'determine'],
+        ['deadbolt', 'dictator'], ['deckhand', 'dinosaur'], ['dogsled', 'direction'], ['dragnet', 'disable'],
+        ['drainage', 'disbelief'], ['dreadful', 'disruptive'], ['drifter', 'distortion'], ['dropper', 'document'],
+        ['drumbeat', 'embezzle'], ['drunken', 'enchanting'], ['Dupont', 'enrollment'], ['dwelling', 'enterprise'],
+        ['eating', 'equation'], ['edict', 'equipment'], ['egghead', 'escapade'], ['eightball', 'Eskimo'],
+        ['endorse', 'everyday'], ['endow', 'examine'], ['enlist', 'existence'], ['erase', 'exodus'],
+        ['escape', 'fascinate'], ['exceed', 'filament'], ['eyeglass', 'finicky'], ['eyetooth', 'forever'],
+        ['facial', 'fortitude'], ['fallout', 'frequency'], ['flagpole', 'gadgetry'], ['flatfoot', 'Galveston'],
+        ['flytrap', 'getaway'], ['fracture', 'glossary'], ['framework', 'gossamer'], ['freedom', 'graduate'],
+        ['frighten', 'gravity'], ['gazelle', 'guitarist'], ['Geiger', 'hamburger'], ['glitter', 'Hamilton'],
+        ['glucose', 'handiwork'], ['goggles', 'hazardous'], ['goldfish', 'headwaters'], ['gremlin', 'hemisphere'],
+        ['guidance', 'hesitate'], ['hamlet', 'hideaway'], ['highchair', 'holiness'], ['hockey', 'hurricane'],
+        ['indoors', 'hydraulic'], ['indulge', 'impartial'], ['inverse', 'impetus'], ['involve', 'inception'],
+        ['island', 'indigo'], ['jawbone', 'inertia'], ['keyboard', 'infancy'], ['kickoff', 'inferno'],
+        ['kiwi', 'informant'], ['klaxon', 'insincere'], ['locale', 'insurgent'], ['lockup', 'integrate'],
+        ['merit', 'intention'], ['minnow', 'inventive'], ['miser', 'Istanbul'], ['Mohawk', 'Jamaica'],
+        ['mural', 'Jupiter'], ['music', 'leprosy'], ['necklace', 'letterhead'], ['Neptune', 'liberty'],
+        ['newborn', 'maritime'], ['nightbird', 'matchmaker'], ['Oakland', 'maverick'], ['obtuse', 'Medusa'],
+        ['offload', 'megaton'], ['optic', 'microscope'], ['orca', 'microwave'], ['payday', 'midsummer'],
+        ['peachy', 'millionaire'], ['pheasant', 'miracle'], ['physique', 'misnomer'], ['playhouse', 'molasses'],
+        ['Pluto', 'molecule'], ['preclude', 'Montana'], ['prefer', 'monument'], ['preshrunk', 'mosquito'],
+        ['printer', 'narrative'], ['prowler', 'nebula'], ['pupil', 'newsletter'], ['puppy', 'Norwegian'],
+        ['python', 'October'], ['quadrant', 'Ohio'], ['quiver', 'onlooker'], ['quota', 'opulent'],
+        ['ragtime', 'Orlando'], ['ratchet', 'outfielder'], ['rebirth', 'Pacific'], ['reform', 'pandemic'],
+        ['regain', 'Pandora'], ['reindeer', 'paperweight'], ['rematch', 'paragon'], ['repay', 'paragraph'],
+        ['retouch', 'paramount'], ['revenge', 'passenger'], ['reward', 'pedigree'], ['rhythm', 'Pegasus'],
+        ['ribcage', 'penetrate'], ['ringbolt', 'perceptive'], ['robust', 'performance'], ['rocker', 'pharmacy'],
+        ['ruffled', 'phonetic'], ['sailboat', 'photograph'], ['sawdust', 'pioneer'], ['scallion', 'pocketful'],
+        ['scenic', 'politeness'], ['scorecard', 'positive'], ['Scotland', 'potato'], ['seabird', 'processor'],
+        ['select', 'provincial'], ['sentence', 'proximate'], ['shadow', 'puberty'], ['shamrock', 'publisher'],
+        ['showgirl', 'pyramid'], ['skullcap', 'quantity'], ['skydive', 'racketeer'], ['slingshot', 'rebellion'],
+        ['slowdown', 'recipe'], ['snapline', 'recover'], ['snapshot', 'repellent'], ['snowcap', 'replica'],
+        ['snowslide', 'reproduce'], ['solo', 'resistor'], ['southward', 'responsive'], ['soybean', 'retraction'],
+        ['spaniel', 'retrieval'], ['spearhead', 'retrospect'], ['spellbind', 'revenue'], ['spheroid', 'revival'],
+        ['spigot', 'revolver'], ['spindle', 'sandalwood'], ['spyglass', 'sardonic'], ['stagehand', 'Saturday'],
+        ['stagnate', 'savagery'], ['stairway', 'scavenger'], ['standard', 'sensation'], ['stapler', 'sociable'],
+        ['steamship', 'souvenir'], ['sterling', 'specialist'], ['stockman', 'speculate'], ['stopwatch', 'stethoscope'],
+        ['stormy', 'stupendous'], ['sugar', 'supportive'], ['surmount', 'surrender'], ['suspense', 'suspicious'],
+        ['sweatband', 'sympathy'], ['swelter', 'tambourine'], ['tactics', 'telephone'], ['talon', 'therapist'],
+        ['tapeworm', 'tobacco'], ['tempest', 'tolerance'], ['tiger', 'tomorrow'], ['tissue', 'torpedo'],
+        ['tonic', 'tradition'], ['topmost', 'travesty'], ['tracker', 'trombonist'], ['transit', 'truncated'],
+        ['trauma', 'typewriter'], ['treadmill', 'ultimate'], ['Trojan', 'undaunted'], ['trouble', 'underfoot'],
+        ['tumor', 'unicorn'], ['tunnel', 'unify'], ['tycoon', 'universe'], ['uncut', 'unravel'],
+        ['unearth', 'upcoming'], ['unwind', 'vacancy'], ['uproot', 'vagabond'], ['upset', 'vertigo'],
+        ['upshot', 'Virginia'], ['vapor', 'visitor'], ['village', 'vocalist'], ['virus', 'voyager'],
+        ['Vulcan', 'warranty'], ['waffle', 'Waterloo'], ['wallet', 'whimsical'], ['watchword', 'Wichita'],
+        ['wayside', 'Wilmington'], ['willow', 'Wyoming'], ['woodlark', 'yesteryear'], ['Zulu', 'Yucatán']
+    ];
+
+    // Drunken-bishop field, as used by OpenSSH's VisualHostKey
+    const RANDOMART_WIDTH = 17;
+    const RANDOMART_HEIGHT = 9;
+    const RANDOMART_SYMBOLS = ' .o+=*BOX@%&#/^SE';
+
+    // URI scheme understood by OpenPGP apps that scan fingerprint QR codes
+    const QR_URI_PREFIX = 'OPENPGP4FPR:';
+
+    // QR code parameters for error correction level M, versions 1-6 (ISO/IEC 18004 table 9)
+    const QR_EC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16];
+    const QR_NUM_BLOCKS = [1, 1, 1, 2, 2, 4];
+    const QR_ALIGNMENT_POSITIONS = [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34]];
+    const QR_FORMAT_BITS_M = 0;
+    const QR_QUIET_ZONE = 4;
+
+    /**
+     * Escapes HTML special characters before rendering untrusted text
+     * @param {string} value - The value to escape
+     * @returns {string} Safe HTML string
+     */
+    function escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Converts a hex fingerprint into bytes
+     * @param {string} fingerprint - Hex fingerprint (spaces are ignored)
+     * @returns {Array<number>} Byte values
+     */
+    function hexToBytes(fingerprint) {
+        const hex = String(fingerprint).replace(/\s/g, '');
+        if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+            throw new Error('Fingerprint must be an even number of hex characters');
+        }
+        return hex.match(/../g).map(pair => parseInt(pair, 16));
+    }
+
+    /**
+     * Converts a fingerprint into PGP words
+     * Bytes at even positions use the two-syllable list and bytes at odd positions
+     * the three-syllable list, so swapped or dropped words are noticed when read aloud.
+     * @param {string} fingerprint - Hex fingerprint
+     * @returns {Array<string>} One word per byte
+     */
+    function toPgpWords(fingerprint) {
+        return hexToBytes(fingerprint).map((byte, index) => PGP_WORDS[byte][index % 2]);
+    }
+
+    /**
+     * Draws an OpenSSH-style randomart ("drunken bishop") image of a fingerprint
+     * @param {string} fingerprint - Hex fingerprint
+     * @param {string} [title] - Label for the top border
+     * @returns {string} Multi-line randomart text
+     */
+    function toRandomart(fingerprint, title = 'OpenPGP') {
+        const bytes = hexToBytes(fingerprint);
+        const field = Array.from({ length: RANDOMART_WIDTH }, () => new Array(RANDOMART_HEIGHT).fill(0));
+        const maxSymbol = RANDOMART_SYMBOLS.length - 1;
+
+        let x = Math.floor(RANDOMART_WIDTH / 2);
+        let y = Math.floor(RANDOMART_HEIGHT / 2);
+
+        for (const byte of bytes) {
+            let input = byte;
+            for (let step = 0; step < 4; step++) {
+                x += (input & 0x1) ? 1 : -1;
+                y += (input & 0x2) ? 1 : -1;
+                x = Math.max(0, Math.min(x, RANDOMART_WIDTH - 1));
+                y = Math.max(0, Math.min(y, RANDOMART_HEIGHT - 1));
+                if (field[x][y] < maxSymbol - 2) {
+                    field[x][y]++;
+                }
+                input >>= 2;
+            }
+        }
+
+        // Mark the start and end positions
+        field[Math.floor(RANDOMART_WIDTH / 2)][Math.floor(RANDOMART_HEIGHT / 2)] = maxSymbol - 1;
+        field[x][y] = maxSymbol;
+
+        const border = (label) => {
+            const text = `[${label}]`.slice(0, RANDOMART_WIDTH);
+            const left = Math.floor((RANDOMART_WIDTH - text.length) / 2);
+            return '+' + '-'.repeat(left) + text + '-'.repeat(RANDOMART_WIDTH - left - text.length) + '+';
+        };
+
+        const rows = [];
+        for (let row = 0; row < RANDOMART_HEIGHT; row++) {
+            let line = '|';
+            for (let col = 0; col < RANDOMART_WIDTH; col++) {
+                line += RANDOMART_SYMBOLS[field[col][row]];
+            }
+            rows.push(line + '|');
+        }
+
+        // v4 fingerprints are SHA-1 digests, v6 fingerprints SHA-256 digests
+        const hashLabel = bytes.length === 32 ? 'SHA256' : 'SHA1';
+        return [border(title), ...rows, border(hashLabel)].join('\n');
+    }
+
+    // ============================================================================
+    // QR CODE ENCODER (byte mode, error correction level M, versions 1-6)
+    // ============================================================================
+
+    /**
+     * Multiplies two elements of GF(2^8) modulo the QR polynomial 0x11D
+     * @param {number} x - Field element
+     * @param {number} y - Field element
+     * @returns {number} Product
+     */
+    function gfMultiply(x, y) {
+        let result = 0;
+        for (let i = 7; i >= 0; i--) {
+            result = (result << 1) ^ ((result >>> 7) * 0x11D);
+            result ^= ((y >>> i) & 1) * x;
+        }
+        return result;
+    }
+
+    /**
+     * Computes Reed-Solomon error correction codewords for one block
+     * @param {Array<number>} data - Data codewords
+     * @param {number} degree - Number of error correction codewords
+     * @returns {Array<number>} Error correction codewords
+     */
+    function reedSolomon(data, degree) {
+        // Generator polynomial (x - 2^0)(x - 2^1)...(x - 2^(degree-1)), leading term omitted
+        const divisor = new Array(degree).fill(0);
+        divisor[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                divisor[j] = gfMultiply(divisor[j], root);
+                if (j + 1 < degree) {
+                    divisor[j] ^= divisor[j + 1];
+                }
+            }
+            root = gfMultiply(root, 0x02);
+        }
+
+        const remainder = new Array(degree).fill(0);
+        for (const byte of data) {
+            const factor = byte ^ remainder.shift();
+            remainder.push(0);
+            divisor.forEach((coefficient, i) => {
+                remainder[i] ^= gfMultiply(coefficient, factor);
+            });
+        }
+        return remainder;
+    }
+
+    /**
+     * Counts the data modules available in a QR version, excluding function patterns
+     * @param {number} version - QR version (1-6)
+     * @returns {number} Number of codewords (8-bit) the version holds
+     */
+    function getRawCodewords(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            modules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        }
+        return Math.floor(modules / 8);
+    }
+
+    /**
+     * Encodes text as QR code data and error correction codewords
+     * @param {string} text - ASCII text to encode
+     * @returns {object} { version, codewords }
+     */
+    function encodeQrCodewords(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        let version = 0;
+        let dataCapacity = 0;
+        for (let v = 1; v <= QR_EC_CODEWORDS_PER_BLOCK.length; v++) {
+            dataCapacity = getRawCodewords(v) - QR_EC_CODEWORDS_PER_BLOCK[v - 1] * QR_NUM_BLOCKS[v - 1];
+            // 4-bit mode indicator + 8-bit length
+            if (bytes.length + 2 <= dataCapacity) {
+                version = v;
+                break;
+            }
+        }
+        if (!version) {
+            throw new Error('Text too long for a QR code');
+        }
+
+        // Byte mode segment, terminator, and padding
+        const bits = [];
+        const pushBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        pushBits(0x4, 4);
+        pushBits(bytes.length, 8);
+        bytes.forEach(byte => pushBits(byte, 8));
+        pushBits(0, Math.min(4, dataCapacity * 8 - bits.length));
+        pushBits(0, (8 - bits.length % 8) % 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        for (let pad = 0xEC; data.length < dataCapacity; pad ^= 0xEC ^ 0x11) {
+            data.push(pad);
+        }
+
+        // Split into blocks, add error correction, and interleave
+        const numBlocks = QR_NUM_BLOCKS[version - 1];
+        const ecLength = QR_EC_CODEWORDS_PER_BLOCK[version - 1];
+        const rawCodewords = getRawCodewords(version);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortBlockLength - ecLength + (i < numShortBlocks ? 0 : 1);
+            const blockData = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+            blocks.push({ data: blockData, ec: reedSolomon(blockData, ecLength) });
+        }
+
+        const codewords = [];
+        const maxDataLength = Math.max(...blocks.map(b => b.data.length));
+        for (let i = 0; i < maxDataLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) codewords.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => codewords.push(block.ec[i]));
+        }
+
+        return { version, codewords };
+    }
+
+    /**
+     * Builds the module matrix of a QR code
+     * @param {string} text - ASCII text to encode
+     * @returns {Array<Array<boolean>>} Square matrix, true for dark modules
+     */
+    function buildQrMatrix(text) {
+        const { version, codewords } = encodeQrCodewords(text);
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns (none overlap the finder patterns)
+        const positions = QR_ALIGNMENT_POSITIONS[version - 1];
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                const last = positions.length - 1;
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        const drawFormatBits = (mask) => {
+            const formatData = (QR_FORMAT_BITS_M << 3) | mask;
+            let remainder = formatData;
+            for (let i = 0; i < 10; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            }
+            const formatBits = ((formatData << 10) | remainder) ^ 0x5412;
+            const bit = (i) => ((formatBits >>> i) & 1) !== 0;
+
+            for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+            setFunction(8, 7, bit(6));
+            setFunction(8, 8, bit(7));
+            setFunction(7, 8, bit(8));
+            for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+            for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+            for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+            setFunction(8, size - 8, true); // Dark module
+        };
+
+        // Reserve the format areas before placing data
+        drawFormatBits(0);
+
+        // Place codewords in the zigzag order, skipping the vertical timing column
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+
+        const maskFunctions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+
+        const applyMask = (mask) => {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (!isFunction[y][x] && maskFunctions[mask](x, y)) {
+                        modules[y][x] = !modules[y][x];
+                    }
+                }
+            }
+        };
+
+        // Pick the mask with the lowest penalty score; masking twice undoes it
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < maskFunctions.length; mask++) {
+            applyMask(mask);
+            drawFormatBits(mask);
+            const penalty = getQrPenalty(modules);
+            if (penalty < bestPenalty) {
+                bestPenalty = penalty;
+                bestMask = mask;
+            }
+            applyMask(mask);
+        }
+        applyMask(bestMask);
+        drawFormatBits(bestMask);
+
+        return modules;
+    }
+
+    /**
+     * Scores a QR matrix for patterns that confuse scanners (lower is better)
+     * @param {Array<Array<boolean>>} modules - Module matrix
+     * @returns {number} Penalty score
+     */
+    function getQrPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+
+        // Runs of five or more same-colored modules in rows and columns
+        for (let i = 0; i < size; i++) {
+            for (const line of [modules[i], modules.map(row => row[i])]) {
+                let runLength = 1;
+                for (let j = 1; j <= size; j++) {
+                    if (j < size && line[j] === line[j - 1]) {
+                        runLength++;
+                    } else {
+                        if (runLength >= 5) penalty += runLength - 2;
+                        runLength = 1;
+                    }
+                }
+
+                // Finder-like 1:1:3:1:1 patterns
+                const text = line.map(dark => (dark ? '1' : '0')).join('');
+                penalty += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+            }
+        }
+
+        // 2x2 blocks of the same color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+
+        return penalty;
+    }
+
+    /**
+     * Renders a fingerprint as an SVG QR code using the OPENPGP4FPR URI scheme
+     * @param {string} fingerprint - Hex fingerprint
+     * @returns {string} SVG markup
+     */
+    function toQrSvg(fingerprint) {
+        const hex = String(fingerprint).replace(/\s/g, '').toUpperCase();
+        hexToBytes(hex); // Validate
+        const modules = buildQrMatrix(QR_URI_PREFIX + hex);
+        const size = modules.length + QR_QUIET_ZONE * 2;
+
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+            });
+        });
+
+        return `<svg class="fingerprint-qr" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" ` +
+            `role="img" aria-label="QR code of fingerprint ${escapeHTML(hex)}" shape-rendering="crispEdges">` +
+            `<rect width="${size}" height="${size}" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+    }
+
+    /**
+     * Renders all fingerprint formats as a collapsible block
+     * @param {string} fingerprint - Hex fingerprint
+     * @returns {string} HTML fragment, or empty string if the fingerprint is not valid hex
+     */
+    function renderFingerprintFormats(fingerprint) {
+        let words;
+        try {
+            words = toPgpWords(fingerprint);
+        } catch (error) {
+            return '';
+        }
+
+        // Group words in pairs so they line up with the usual 4-hex-digit groups
+        const wordGroups = [];
+        for (let i = 0; i < words.length; i += 2) {
+            wordGroups.push(words.slice(i, i + 2).join(' '));
+        }
+
+        return `
+            <details class="fingerprint-formats">
+                <summary>Compare by voice or camera</summary>
+                <div class="fingerprint-formats-body">
+                    <div class="fingerprint-format">
+                        <div class="fingerprint-format-label">PGP words</div>
+                        <ol class="pgp-words">${wordGroups.map(group => `<li>${escapeHTML(group)}</li>`).join('')}</ol>
+                    </div>
+                    <div class="fingerprint-format">
+                        <div class="fingerprint-format-label">Randomart</div>
+                        <pre class="fingerprint-randomart">${escapeHTML(toRandomart(fingerprint))}</pre>
+                    </div>
+                    <div class="fingerprint-format">
+                        <div class="fingerprint-format-label">QR code</div>
+                        ${toQrSvg(fingerprint)}
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    // Export functions for use by main app and known-keys addon
+    window.FingerprintFormats = {
+        toPgpWords,
+        toRandomart,
+        toQrSvg,
+        renderFingerprintFormats
+    };
+
+})();
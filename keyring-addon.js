@@ -0,0 +1,405 @@
+/**
+ * Local Keyring Addon for GPG Signature Verifier
+ * Opt-in keyring stored in this browser's IndexedDB. Keys are saved under a
+ * petname, can be listed, searched, renamed and deleted, and are selected
+ * automatically when a signature's issuer matches a saved key.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'gpg-verifier-keyring';
+    const DB_VERSION = 1;
+    const KEY_STORE = 'keys';
+    const ENABLED_STORAGE_KEY = 'gpg-verifier-keyring-enabled';
+    const MAX_PETNAME_LENGTH = 100;
+
+    // DOM Elements for the keyring panel
+    const keyringElements = {
+        panel: document.getElementById('keyring-panel'),
+        enabledToggle: document.getElementById('keyring-enabled'),
+        body: document.getElementById('keyring-body'),
+        petnameInput: document.getElementById('keyring-petname'),
+        saveBtn: document.getElementById('keyring-save-btn'),
+        searchInput: document.getElementById('keyring-search'),
+        list: document.getElementById('keyring-list'),
+        feedback: document.getElementById('keyring-feedback')
+    };
+
+    // Hooks supplied by the main app through init()
+    let hooks = {
+        getLoadedKeys: () => null,
+        onUseKey: () => {}
+    };
+
+    let dbPromise = null;
+
+    /**
+     * Escapes HTML special characters before rendering untrusted text
+     * @param {string} value - The value to escape
+     * @returns {string} Safe HTML string
+     */
+    function escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Checks whether the user has opted in to the local keyring
+     * @returns {boolean} True if enabled
+     */
+    function isEnabled() {
+        try {
+            return localStorage.getItem(ENABLED_STORAGE_KEY) === 'true';
+        } catch (error) {
+            console.warn('Unable to read keyring preference:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Opens (and on first use creates) the keyring database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const store = db.createObjectStore(KEY_STORE, { keyPath: 'fingerprint' });
+                // Every primary key and subkey ID, so an issuer key ID finds its key directly
+                store.createIndex('keyIDs', 'keyIDs', { unique: false, multiEntry: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Runs a single request against the key store
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} createRequest - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} The request result once the transaction completes
+     */
+    async function runRequest(mode, createRequest) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(KEY_STORE, mode);
+            const request = createRequest(transaction.objectStore(KEY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Keyring transaction aborted'));
+        });
+    }
+
+    /**
+     * Validates and trims a petname
+     * @param {string} petname - Name chosen by the user
+     * @returns {string} Trimmed petname
+     * @throws {Error} If the petname is empty or too long
+     */
+    function normalizePetname(petname) {
+        const trimmed = String(petname || '').trim();
+        if (!trimmed) {
+            throw new Error('Enter a name for the key, e.g. "Tails release key"');
+        }
+        if (trimmed.length > MAX_PETNAME_LENGTH) {
+            throw new Error(`Names are limited to ${MAX_PETNAME_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Builds a keyring record from an OpenPGP.js key
+     * @param {object} key - OpenPGP.js public key
+     * @param {string} petname - Name chosen by the user
+     * @returns {object} Record ready to store
+     */
+    function createRecord(key, petname) {
+        const now = new Date().toISOString();
+        return {
+            fingerprint: key.getFingerprint().toUpperCase(),
+            petname: normalizePetname(petname),
+            armoredKey: key.armor(),
+            keyIDs: key.getKeyIDs().map(id => id.toHex().toLowerCase()),
+            userIDs: key.getUserIDs(),
+            savedAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Saves keys under a petname, replacing any saved copy with the same fingerprint
+     * @param {Array<object>} keys - OpenPGP.js public keys
+     * @param {string} petname - Name chosen by the user
+     * @returns {Promise<Array<object>>} The stored records
+     */
+    async function saveKeys(keys, petname) {
+        const records = keys.map(key => createRecord(key, petname));
+        for (const record of records) {
+            const existing = await getKey(record.fingerprint);
+            if (existing) {
+                record.savedAt = existing.savedAt;
+            }
+            await runRequest('readwrite', store => store.put(record));
+        }
+        return records;
+    }
+
+    /**
+     * Gets a saved key by primary fingerprint
+     * @param {string} fingerprint - Primary key fingerprint
+     * @returns {Promise<object|null>} Record or null
+     */
+    async function getKey(fingerprint) {
+        const record = await runRequest('readonly', store => store.get(String(fingerprint).toUpperCase()));
+        return record || null;
+    }
+
+    /**
+     * Lists every saved key, sorted by petname
+     * @returns {Promise<Array<object>>} Records
+     */
+    async function listKeys() {
+        const records = await runRequest('readonly', store => store.getAll());
+        return records.sort((a, b) => a.petname.localeCompare(b.petname));
+    }
+
+    /**
+     * Searches saved keys by petname, user ID, fingerprint or key ID
+     * @param {string} query - Case-insensitive search text
+     * @returns {Promise<Array<object>>} Matching records
+     */
+    async function searchKeys(query) {
+        const needle = String(query || '').trim().toLowerCase();
+        const records = await listKeys();
+        if (!needle) return records;
+
+        const compactNeedle = needle.replace(/\s/g, '');
+        return records.filter(record =>
+            record.petname.toLowerCase().includes(needle) ||
+            record.userIDs.some(userID => userID.toLowerCase().includes(needle)) ||
+            record.fingerprint.toLowerCase().includes(compactNeedle) ||
+            record.keyIDs.some(keyID => keyID.includes(compactNeedle))
+        );
+    }
+
+    /**
+     * Renames a saved key
+     * @param {string} fingerprint - Primary key fingerprint
+     * @param {string} petname - New name
+     * @returns {Promise<object>} Updated record
+     */
+    async function renameKey(fingerprint, petname) {
+        const record = await getKey(fingerprint);
+        if (!record) {
+            throw new Error('Key is no longer in the keyring');
+        }
+        record.petname = normalizePetname(petname);
+        record.updatedAt = new Date().toISOString();
+        await runRequest('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Deletes a saved key
+     * @param {string} fingerprint - Primary key fingerprint
+     * @returns {Promise<void>}
+     */
+    async function deleteKey(fingerprint) {
+        await runRequest('readwrite', store => store.delete(String(fingerprint).toUpperCase()));
+    }
+
+    /**
+     * Finds saved keys holding a primary key or subkey with the given ID
+     * @param {string} keyID - 16-character hex key ID
+     * @returns {Promise<Array<object>>} Matching records (empty when the keyring is disabled)
+     */
+    async function findByKeyID(keyID) {
+        if (!isEnabled() || !keyID) return [];
+        return runRequest('readonly', store => store.index('keyIDs').getAll(String(keyID).toLowerCase()));
+    }
+
+    // ============================================================================
+    // UI
+    // ============================================================================
+
+    /**
+     * Shows a short message under the keyring controls
+     * @param {string} message - Text to show
+     * @param {boolean} [isError] - Whether to style it as an error
+     */
+    function showFeedback(message, isError = false) {
+        if (!keyringElements.feedback) return;
+        keyringElements.feedback.textContent = message;
+        keyringElements.feedback.className = `keyring-feedback ${isError ? 'error' : 'success'}`;
+        keyringElements.feedback.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Renders the saved keys matching the current search
+     * @returns {Promise<void>}
+     */
+    async function renderKeyList() {
+        if (!keyringElements.list || !isEnabled()) return;
+
+        try {
+            const records = await searchKeys(keyringElements.searchInput ? keyringElements.searchInput.value : '');
+            if (records.length === 0) {
+                keyringElements.list.innerHTML = '<li class="keyring-empty">No saved keys</li>';
+                return;
+            }
+
+            keyringElements.list.innerHTML = records.map(record => `
+                <li class="keyring-item" data-fingerprint="${escapeHTML(record.fingerprint)}">
+                    <div class="keyring-item-text">
+                        <strong class="keyring-petname">${escapeHTML(record.petname)}</strong>
+                        <span class="keyring-userid">${escapeHTML(record.userIDs[0] || 'No user ID')}</span>
+                        <code class="keyring-fingerprint">${escapeHTML(record.fingerprint)}</code>
+                    </div>
+                    <div class="keyring-item-actions">
+                        <button type="button" class="known-key-btn known-key-btn-primary" data-action="use">Use</button>
+                        <button type="button" class="known-key-btn" data-action="rename">Rename</button>
+                        <button type="button" class="known-key-btn" data-action="delete">Delete</button>
+                    </div>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Could not list keyring:', error);
+            showFeedback(`Could not read the keyring: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Handles Use / Rename / Delete clicks in the key list
+     * @param {Event} event - Click event
+     */
+    async function handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const item = button.closest('.keyring-item');
+        const fingerprint = item && item.dataset.fingerprint;
+        if (!fingerprint) return;
+
+        try {
+            const record = await getKey(fingerprint);
+            if (!record) {
+                await renderKeyList();
+                return;
+            }
+
+            if (button.dataset.action === 'use') {
+                hooks.onUseKey(record);
+            } else if (button.dataset.action === 'rename') {
+                const petname = window.prompt('New name for this key:', record.petname);
+                if (petname === null) return;
+                await renameKey(fingerprint, petname);
+                showFeedback(`Renamed to "${normalizePetname(petname)}"`);
+                await renderKeyList();
+            } else if (button.dataset.action === 'delete') {
+                if (!window.confirm(`Delete "${record.petname}" from the keyring?`)) return;
+                await deleteKey(fingerprint);
+                showFeedback(`Deleted "${record.petname}"`);
+                await renderKeyList();
+            }
+        } catch (error) {
+            showFeedback(error.message, true);
+        }
+    }
+
+    /**
+     * Saves the keys currently loaded in the app under the entered petname
+     */
+    async function handleSaveClick() {
+        const keys = hooks.getLoadedKeys();
+        if (!keys || keys.length === 0) {
+            showFeedback('Load a public key first, then save it to the keyring.', true);
+            return;
+        }
+
+        try {
+            const records = await saveKeys(keys, keyringElements.petnameInput.value);
+            keyringElements.petnameInput.value = '';
+            showFeedback(`Saved ${records.length === 1 ? 'key' : `${records.length} keys`} as "${records[0].petname}"`);
+            await renderKeyList();
+        } catch (error) {
+            showFeedback(error.message, true);
+        }
+    }
+
+    /**
+     * Applies the opt-in state to the panel and persists it
+     * @param {boolean} enabled - Whether the keyring is enabled
+     */
+    function setEnabled(enabled) {
+        try {
+            localStorage.setItem(ENABLED_STORAGE_KEY, String(enabled));
+        } catch (error) {
+            console.warn('Unable to persist keyring preference:', error);
+        }
+
+        if (keyringElements.enabledToggle) {
+            keyringElements.enabledToggle.checked = enabled;
+        }
+        if (keyringElements.body) {
+            keyringElements.body.style.display = enabled ? 'block' : 'none';
+        }
+        showFeedback('');
+        if (enabled) {
+            renderKeyList();
+        }
+    }
+
+    /**
+     * Connects the keyring to the main app and wires up the panel
+     * @param {object} appHooks - { getLoadedKeys: () => Array<object>|null, onUseKey: (record) => void }
+     */
+    function init(appHooks) {
+        hooks = { ...hooks, ...appHooks };
+
+        if (!keyringElements.panel) return;
+
+        keyringElements.enabledToggle.addEventListener('change', (event) => setEnabled(event.target.checked));
+        keyringElements.saveBtn.addEventListener('click', handleSaveClick);
+        keyringElements.searchInput.addEventListener('input', renderKeyList);
+        keyringElements.list.addEventListener('click', handleListClick);
+
+        setEnabled(isEnabled());
+        console.log('Local Keyring Addon initialized');
+    }
+
+    // Export functions for use by main app
+    window.LocalKeyring = {
+        init,
+        isEnabled,
+        saveKeys,
+        getKey,
+        listKeys,
+        searchKeys,
+        renameKey,
+        deleteKey,
+        findByKeyID,
+        refresh: renderKeyList
+    };
+
+})();
@@ -12,9 +12,99 @@ window.KnownKeysAddon = (function() {
             .replace(/'/g, '&#39;');
     }
 
-    function checkAndPrompt(keyID) {
+    function copyMatch(entry, extra) {
+        var match = {};
+        var name;
+        for (name in entry) match[name] = entry[name];
+        for (name in extra) match[name] = extra[name];
+        return match;
+    }
+
+    // issuer is { keyID, fingerprint } from the signature (a bare key ID string is also accepted).
+    // A fingerprint match is preferred. When the signature carries its issuer fingerprint and
+    // nothing matches it, a key-ID hit would be a different key, so no match is offered.
+    function checkAndPrompt(issuer) {
         if (!window.KnownKeys) return null;
-        return window.KnownKeys.lookup(keyID.toLowerCase());
+        if (typeof issuer === 'string') issuer = { keyID: issuer, fingerprint: null };
+        if (!issuer) return null;
+
+        if (issuer.fingerprint) {
+            var byFingerprint = window.KnownKeys.lookup(issuer.fingerprint);
+            return byFingerprint.length > 0 ? copyMatch(byFingerprint[0], { shortIDOnly: false, matchedID: issuer.fingerprint }) : null;
+        }
+
+        if (!issuer.keyID) return null;
+        var byKeyID = window.KnownKeys.lookup(issuer.keyID);
+        if (byKeyID.length === 0) return null;
+        return copyMatch(byKeyID[0], { shortIDOnly: true, candidateCount: byKeyID.length, matchedID: issuer.keyID });
+    }
+
+    function formatDate(iso) {
+        return new Date(iso).toISOString().slice(0, 10);
+    }
+
+    function isExpired(record, now) {
+        return !!record.expires && new Date(record.expires).getTime() <= now.getTime();
+    }
+
+    // Reasons a matched key should not simply be used: the primary key or the
+    // matched subkey is revoked or expired, or the distribution has replaced it
+    function getLifecycleWarnings(match, now) {
+        var warnings = [];
+
+        if (match.revoked) {
+            warnings.push('<strong>Revoked key.</strong> Its owner has revoked this key; signatures from it should not be trusted.');
+        } else if (isExpired(match, now)) {
+            warnings.push('<strong>Expired key.</strong> This key expired on ' + escapeHTML(formatDate(match.expires)) + '.');
+        }
+
+        var matchedSubkey = null;
+        if (match.matchedID && (match.matchedBy === 'subkey-fingerprint' || match.matchedBy === 'subkey-id')) {
+            var matchedID = String(match.matchedID).replace(/\s/g, '').toLowerCase();
+            (match.subkeys || []).forEach(function(subkey) {
+                if (String(subkey.fingerprint).toLowerCase() === matchedID || String(subkey.keyID).toLowerCase() === matchedID) {
+                    matchedSubkey = subkey;
+                }
+            });
+        }
+        if (matchedSubkey && matchedSubkey.revoked) {
+            warnings.push('<strong>Revoked subkey.</strong> The subkey that made this signature has been revoked.');
+        } else if (matchedSubkey && isExpired(matchedSubkey, now)) {
+            warnings.push('<strong>Expired subkey.</strong> The subkey that made this signature expired on ' + escapeHTML(formatDate(matchedSubkey.expires)) + '.');
+        }
+
+        if (match.supersededBy) {
+            var replacement = window.KnownKeys ? window.KnownKeys.lookup(match.supersededBy)[0] : null;
+            warnings.push('<strong>Superseded key.</strong> ' + escapeHTML(match.distro) + ' has replaced this key with ' +
+                (replacement ? 'the <strong>' + escapeHTML(replacement.label) + '</strong>' : 'a newer key') +
+                ' (fingerprint: <code>' + escapeHTML(match.supersededBy.slice(0, 16)) + '&hellip;</code>).');
+        }
+
+        return warnings;
+    }
+
+    // The distribution's own page for confirming the fingerprint, with any notes
+    // and guidance from key-sources.json. Only https links are rendered as links.
+    function renderReference(match) {
+        var hasLink = typeof match.officialUrl === 'string' && /^https:\/\//i.test(match.officialUrl);
+        if (!hasLink && !match.notes && !match.guidance) return '';
+
+        return '<div class="known-key-banner-reference">' +
+            (hasLink
+                ? '<p>Confirm this fingerprint here: <a href="' + escapeHTML(match.officialUrl) +
+                    '" target="_blank" rel="noopener noreferrer">' + escapeHTML(match.officialUrl) + '</a></p>'
+                : '') +
+            (match.notes ? '<p>' + escapeHTML(match.notes) + '</p>' : '') +
+            (match.guidance ? '<p>' + escapeHTML(match.guidance) + '</p>' : '') +
+        '</div>';
+    }
+
+    // How many independent sources returned this key when the database was built.
+    // fetch-keys.js never writes an entry with fewer than two, so none is shown then.
+    function renderConfirmations(match) {
+        if (!match.confirmedBy || match.confirmedBy.length < 2) return '';
+        return '<p class="known-key-banner-sources">Fingerprint confirmed by ' + match.confirmedBy.length +
+            ' independent sources: ' + match.confirmedBy.map(escapeHTML).join(', ') + '.</p>';
     }
 
     function showBanner(match, onAccept, onDismiss) {
@@ -30,18 +120,43 @@ window.KnownKeysAddon = (function() {
             ? escapeHTML(match.fingerprint.slice(0, 16)) + '&hellip;'
             : 'unknown';
 
+        var isSubkeyMatch = match.matchedBy === 'subkey-fingerprint' || match.matchedBy === 'subkey-id';
+        var shortIDWarning = match.shortIDOnly
+            ? '<p class="known-key-banner-warning"><strong>Matched by key ID only.</strong>' +
+                ' The signature does not include its issuer\'s full fingerprint, and 16-character key IDs can collide' +
+                (match.candidateCount > 1 ? ' (' + match.candidateCount + ' known keys share this ID)' : '') +
+                '. Compare the full fingerprint before using this key.</p>'
+            : '';
+
+        var lifecycleWarnings = getLifecycleWarnings(match, new Date());
+        var lifecycleHTML = lifecycleWarnings.map(function(warning) {
+            return '<p class="known-key-banner-warning">' + warning + '</p>';
+        }).join('');
+
+        var formats = match.fingerprint && window.FingerprintFormats
+            ? window.FingerprintFormats.renderFingerprintFormats(match.fingerprint)
+            : '';
+
         banner.innerHTML =
             '<div class="known-key-banner-body">' +
                 '<span class="known-key-banner-icon" aria-hidden="true">&#x2139;</span>' +
                 '<div class="known-key-banner-text">' +
                     '<strong>Known key detected</strong>' +
-                    '<p>This file was signed with the <strong>' + escapeHTML(match.label) + '</strong>' +
+                    '<p>This file was signed with ' + (isSubkeyMatch ? 'a subkey of ' : '') +
+                    'the <strong>' + escapeHTML(match.label) + '</strong>' +
                     ' (fingerprint: <code>' + shortFp + '</code>).' +
                     ' Always confirm the fingerprint through a trusted channel before trusting this key.</p>' +
+                    renderConfirmations(match) +
+                    renderReference(match) +
+                    shortIDWarning +
+                    lifecycleHTML +
+                    formats +
                 '</div>' +
             '</div>' +
             '<div class="known-key-banner-actions">' +
-                '<button id="known-key-accept" class="known-key-btn known-key-btn-primary" type="button">Use this key</button>' +
+                (lifecycleWarnings.length > 0
+                    ? '<button id="known-key-accept" class="known-key-btn" type="button">Use this key anyway</button>'
+                    : '<button id="known-key-accept" class="known-key-btn known-key-btn-primary" type="button">Use this key</button>') +
                 '<button id="known-key-dismiss" class="known-key-btn" type="button">No, I\'ll provide my own key</button>' +
             '</div>';
 
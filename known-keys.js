@@ -2,9 +2,17 @@
 // Last updated: (placeholder — run `npm run update-keys` to populate)  Keys: 0
 window.KnownKeys = (function() {
   const db = {};
+  const index = {};
+  function normalizeID(id) {
+    return String(id).replace(/\s/g, '').replace(/^0x/i, '').toLowerCase();
+  }
   return {
-    lookup: function(keyID) {
-      return db[keyID] || null;
+    // Returns every entry whose primary key or subkey has this fingerprint or key ID,
+    // each tagged with matchedBy: fingerprint, key-id, subkey-fingerprint or subkey-id
+    lookup: function(id) {
+      return (index[normalizeID(id)] || []).map(function(ref) {
+        return Object.assign({ matchedBy: ref[1] }, db[ref[0]]);
+      });
     }
   };
 })();
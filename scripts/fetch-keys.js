@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -8,92 +9,940 @@ const ROOT = path.join(__dirname, '..');
 const SOURCES_FILE = path.join(__dirname, 'key-sources.json');
 const OUTPUT_FILE = path.join(ROOT, 'known-keys.js');
 
-async function fetchUrl(url) {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
-    return Buffer.from(await res.arrayBuffer());
+// known-keys.js is parsed on every page load and ships in the offline bundle
+const DEFAULT_SIZE_BUDGET_KB = 256;
+const DEFAULT_EXPIRY_WARNING_DAYS = 90;
+
+// Network behaviour; tests pass smaller values through buildDb() options
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const CONCURRENCY = 4;
+const CACHE_DIR = path.join(ROOT, '.cache', 'fetch-keys');
+
+function normalizeFingerprint(fingerprint) {
+    return String(fingerprint || '').replace(/\s/g, '').toUpperCase();
 }
 
-async function fetchKeyserver(keyserver, fingerprint) {
-    const fp = fingerprint.replace(/\s/g, '');
-    const url = `https://${keyserver}/vks/v1/by-fingerprint/${fp}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
-    return Buffer.from(await res.arrayBuffer());
+// Schema for key-sources.json entries: fields every entry may have, plus the
+// fields each strategy requires or allows. Anything else is an unknown key.
+// Every entry lists at least two independent origins in "sources", each with
+// its own strategy, which must all return the same key. "minSources" lets an
+// entry tolerate unreachable origins, but never drops below two.
+const FIELD_TYPES = {
+    distro: 'text',
+    label: 'text',
+    strategy: 'strategy',
+    fingerprint: 'fingerprint',
+    notes: 'text',
+    officialUrl: 'https-url',
+    guidance: 'text',
+    supersededBy: 'fingerprint',
+    sources: 'source-list',
+    minSources: 'min-sources',
+    url: 'https-url',
+    keyserver: 'keyserver',
+    keyservers: 'keyserver-list',
+    email: 'email'
+};
+
+const SOURCE_SCHEMA = {
+    required: ['distro', 'label', 'fingerprint'],
+    optional: ['notes', 'officialUrl', 'guidance', 'supersededBy'],
+    minSources: 2,
+    strategies: {
+        url: { required: ['url'], optional: [] },
+        keyserver: { required: [], optional: ['keyserver', 'keyservers'] },
+        wkd: { required: ['email'], optional: [] }
+    }
+};
+
+const KEYSERVER_PATTERN = /^(hkps?:\/\/)?[a-z0-9.-]+(:\d+)?\/?$/i;
+
+// Returns a message when value does not match type, otherwise null
+function checkFieldType(type, value) {
+    switch (type) {
+        case 'text':
+            return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+        case 'strategy':
+            return Object.hasOwn(SOURCE_SCHEMA.strategies, value)
+                ? null
+                : `must be one of ${Object.keys(SOURCE_SCHEMA.strategies).join(', ')} (got ${JSON.stringify(value)})`;
+        case 'fingerprint':
+            return typeof value === 'string' && /^([0-9A-F]{40}|[0-9A-F]{64})$/.test(normalizeFingerprint(value))
+                ? null
+                : 'must be 40 (v4) or 64 (v6) hex characters';
+        case 'https-url':
+            return typeof value === 'string' && /^https:\/\/[^\s/]+/.test(value) ? null : 'must be an https:// URL';
+        case 'keyserver':
+            return typeof value === 'string' && KEYSERVER_PATTERN.test(value) ? null : 'must be a hostname, hkps://host or hkp://host';
+        case 'keyserver-list':
+            return Array.isArray(value) && value.length > 0 && value.every(server => typeof server === 'string' && KEYSERVER_PATTERN.test(server))
+                ? null
+                : 'must be a non-empty list of hostnames, hkps://host or hkp://host';
+        case 'source-list':
+            return Array.isArray(value) && value.length >= SOURCE_SCHEMA.minSources
+                ? null
+                : `must list at least ${SOURCE_SCHEMA.minSources} sources`;
+        case 'min-sources':
+            return Number.isInteger(value) && value >= SOURCE_SCHEMA.minSources
+                ? null
+                : `must be a whole number of at least ${SOURCE_SCHEMA.minSources}`;
+        case 'email':
+            return typeof value === 'string' && /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value) ? null : 'must be an email address';
+        default:
+            return `has no type ${type}`;
+    }
 }
 
-async function buildDb(sources) {
-    const { readKeys } = await import('openpgp');
-    const db = {};
-    const summary = [];
+// Checks an object's required fields, unknown fields and field types. When
+// "strategy" is required, that strategy's own fields are added to the schema.
+function validateFields(object, where, required, optional, errors) {
+    const usesStrategy = required.includes('strategy');
+    const strategy = usesStrategy && Object.hasOwn(SOURCE_SCHEMA.strategies, object.strategy)
+        ? SOURCE_SCHEMA.strategies[object.strategy]
+        : null;
+    const allRequired = required.concat(strategy ? strategy.required : []);
+    const allowed = new Set(allRequired.concat(optional, strategy ? strategy.optional : []));
 
-    for (const source of sources) {
-        try {
-            let keyData;
-            if (source.strategy === 'url') {
-                keyData = await fetchUrl(source.url);
-            } else if (source.strategy === 'keyserver') {
-                keyData = await fetchKeyserver(source.keyserver || 'keys.openpgp.org', source.fingerprint);
+    for (const field of allRequired) {
+        if (!(field in object)) errors.push(`${where}: missing required field "${field}"`);
+    }
+
+    for (const [field, value] of Object.entries(object)) {
+        if (!allowed.has(field)) {
+            // Fields of another strategy are only unknown when the strategy itself is valid
+            if (!usesStrategy || strategy || !Object.hasOwn(FIELD_TYPES, field)) {
+                errors.push(`${where}: unknown field "${field}"${strategy ? ` for strategy "${object.strategy}"` : ''}`);
+            }
+            continue;
+        }
+        const problem = checkFieldType(FIELD_TYPES[field], value);
+        if (problem) errors.push(`${where}: "${field}" ${problem}`);
+    }
+
+    if ('keyserver' in object && 'keyservers' in object) {
+        errors.push(`${where}: use either "keyserver" or "keyservers", not both`);
+    }
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validates the whole file before anything is fetched. Returns a list of
+// errors, each naming the entry index, e.g. "sources[3] (Fedora): ..."
+function validateSources(sources) {
+    if (!Array.isArray(sources)) return ['key-sources.json must contain an array of sources'];
+
+    const errors = [];
+    const seenFingerprints = new Map();
+
+    sources.forEach((source, index) => {
+        const name = source && typeof source.distro === 'string' ? ` (${source.distro})` : '';
+        const where = `sources[${index}]${name}`;
+        if (!isPlainObject(source)) {
+            errors.push(`${where}: must be an object`);
+            return;
+        }
+
+        if ('sources' in source) {
+            validateFields(source, where, SOURCE_SCHEMA.required.concat('sources'), SOURCE_SCHEMA.optional.concat('minSources'), errors);
+            if (Array.isArray(source.sources) && Number.isInteger(source.minSources) && source.minSources > source.sources.length) {
+                errors.push(`${where}: "minSources" is ${source.minSources} but only ${source.sources.length} sources are listed`);
+            }
+            const seenOrigins = new Map();
+            (Array.isArray(source.sources) ? source.sources : []).forEach((origin, originIndex) => {
+                const originWhere = `sources[${index}].sources[${originIndex}]${name}`;
+                if (!isPlainObject(origin)) {
+                    errors.push(`${originWhere}: must be an object`);
+                    return;
+                }
+                validateFields(origin, originWhere, ['strategy'], [], errors);
+
+                const description = describeOrigin(origin);
+                if (seenOrigins.has(description)) {
+                    errors.push(`${originWhere}: repeats sources[${index}].sources[${seenOrigins.get(description)}]; sources must be independent`);
+                } else {
+                    seenOrigins.set(description, originIndex);
+                }
+            });
+        } else {
+            // One origin cannot confirm itself: a single compromised server would decide the key
+            errors.push(`${where}: single-source entries are not accepted; list at least ${SOURCE_SCHEMA.minSources} independent origins in "sources"`);
+            validateFields(source, where, SOURCE_SCHEMA.required.concat('strategy'), SOURCE_SCHEMA.optional, errors);
+        }
+
+        if (!checkFieldType('fingerprint', source.fingerprint)) {
+            const fingerprint = normalizeFingerprint(source.fingerprint);
+            if (seenFingerprints.has(fingerprint)) {
+                errors.push(`${where}: duplicate fingerprint ${fingerprint}, already used by sources[${seenFingerprints.get(fingerprint)}]`);
             } else {
-                throw new Error(`Unknown strategy: ${source.strategy}`);
+                seenFingerprints.set(fingerprint, index);
             }
+        }
+    });
 
-            let keys;
+    return errors;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// On-disk response cache: <sha256 of url>.bin holds the body and
+// <sha256 of url>.json the URL with its ETag and Last-Modified validators
+function createCache(dir = CACHE_DIR) {
+    const file = (url, ext) => path.join(dir, crypto.createHash('sha256').update(url).digest('hex') + ext);
+
+    return {
+        get(url) {
             try {
-                keys = await readKeys({ binaryKeys: keyData });
+                const meta = JSON.parse(fs.readFileSync(file(url, '.json'), 'utf8'));
+                return { ...meta, body: fs.readFileSync(file(url, '.bin')) };
             } catch (_) {
-                keys = await readKeys({ armoredKeys: keyData.toString('utf8') });
+                return null;
             }
-            if (!keys || keys.length === 0) throw new Error('No keys found in response');
-
-            for (const key of keys) {
-                const keyID = key.getKeyID().toHex().toLowerCase();
-                const fingerprint = key.getFingerprint().toUpperCase();
-                db[keyID] = {
-                    distro: source.distro,
-                    label: source.label,
-                    fingerprint,
-                    armoredKey: key.armor()
-                };
-                summary.push({ distro: source.distro, label: source.label, keyID });
-                console.log(`  ✓ ${source.distro}: ${source.label} (${keyID})`);
+        },
+        set(url, { body, etag, lastModified }) {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(file(url, '.bin'), body);
+            fs.writeFileSync(file(url, '.json'), JSON.stringify({ url, etag, lastModified, fetchedAt: new Date().toISOString() }, null, 2));
+        }
+    };
+}
+
+// Delay before retry number attempt + 1: Retry-After when the server sends
+// one in seconds, otherwise exponential backoff capped at maxDelayMs. A
+// Retry-After above the cap is returned as is so the caller can give up.
+function retryDelay(res, attempt, baseDelayMs, maxDelayMs) {
+    const retryAfter = res && res.headers && Number(res.headers.get('retry-after'));
+    if (retryAfter > 0) return retryAfter * 1000;
+    return Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+}
+
+// options: { timeoutMs, retries, retryDelayMs, maxRetryDelayMs, cache (from createCache), offline }
+async function fetchUrl(url, options = {}) {
+    const {
+        timeoutMs = REQUEST_TIMEOUT_MS,
+        retries = MAX_RETRIES,
+        retryDelayMs = RETRY_BASE_DELAY_MS,
+        maxRetryDelayMs = MAX_RETRY_DELAY_MS,
+        cache = null,
+        offline = false
+    } = options;
+    const cached = cache ? cache.get(url) : null;
+
+    if (offline) {
+        if (!cached) throw new Error(`Not in cache (offline): ${url}`);
+        return cached.body;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const headers = {};
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        let res;
+        try {
+            res = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+        } catch (err) {
+            if (attempt < retries) {
+                await sleep(retryDelay(null, attempt, retryDelayMs, maxRetryDelayMs));
+                continue;
+            }
+            const reason = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : err.message;
+            throw new Error(`${reason}: ${url}`);
+        }
+
+        if (res.status === 304 && cached) return cached.body;
+
+        if ((res.status === 429 || res.status >= 500) && attempt < retries) {
+            const delay = retryDelay(res, attempt, retryDelayMs, maxRetryDelayMs);
+            // Waiting out a long Retry-After would stall the whole run
+            if (delay > maxRetryDelayMs) {
+                throw new Error(`HTTP ${res.status}: ${url} (Retry-After of ${delay / 1000} s exceeds the ${maxRetryDelayMs / 1000} s limit)`);
             }
+            await sleep(delay);
+            continue;
+        }
+
+        if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
+        const body = Buffer.from(await res.arrayBuffer());
+        if (cache) {
+            cache.set(url, {
+                body,
+                etag: res.headers && res.headers.get('etag'),
+                lastModified: res.headers && res.headers.get('last-modified')
+            });
+        }
+        return body;
+    }
+}
+
+// A bare hostname is a VKS server (keys.openpgp.org); hkps://host and hkp://host
+// use the classic HKP lookup, with hkp:// on the standard port 11371.
+function keyserverUrl(keyserver, fingerprint) {
+    const fp = normalizeFingerprint(fingerprint);
+    const hkp = /^(hkps?):\/\/([^/]+)\/?$/i.exec(keyserver);
+    if (!hkp) {
+        return `https://${keyserver}/vks/v1/by-fingerprint/${fp}`;
+    }
+
+    const isSecure = hkp[1].toLowerCase() === 'hkps';
+    const host = isSecure || hkp[2].includes(':') ? hkp[2] : `${hkp[2]}:11371`;
+    return `${isSecure ? 'https' : 'http'}://${host}/pks/lookup?op=get&options=mr&search=0x${fp}`;
+}
+
+async function fetchKeyserver(keyserver, fingerprint, options = {}) {
+    return fetchUrl(keyserverUrl(keyserver, fingerprint), options);
+}
+
+// Asks every keyserver in order; the source only fails if none of them answer
+async function fetchKeyservers(source, fingerprint, options = {}) {
+    const keyservers = source.keyservers || [source.keyserver || 'keys.openpgp.org'];
+    const responses = [];
+    const errors = [];
+
+    for (const keyserver of keyservers) {
+        try {
+            responses.push(await fetchKeyserver(keyserver, fingerprint, options));
         } catch (err) {
-            console.error(`  ✗ FAILED: ${source.distro} — ${source.label}: ${err.message}`);
-            summary.push({ distro: source.distro, label: source.label, error: err.message });
+            errors.push(`${keyserver}: ${err.message}`);
+        }
+    }
+
+    if (responses.length === 0) {
+        throw new Error(`No keyserver returned the key (${errors.join('; ')})`);
+    }
+    errors.forEach(error => console.log(`  - ${source.distro}: skipped ${error}`));
+    return responses;
+}
+
+const ZBASE32_ALPHABET = 'ybndrfg8ejkmcpqxot1uwisza345h769';
+
+function zbase32(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += ZBASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += ZBASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function parseEmail(email) {
+    const match = /^([^@\s]+)@([^@\s]+)$/.exec(String(email || '').trim());
+    if (!match) throw new Error(`Invalid WKD email address: ${email}`);
+    return { local: match[1], domain: match[2].toLowerCase() };
+}
+
+// Advanced and direct method URLs, in the order they are tried.
+// The hashed part is the z-base-32 SHA-1 of the lowercased local part;
+// the l= parameter carries the local part unchanged.
+function wkdUrls(email) {
+    const { local, domain } = parseEmail(email);
+    const hash = zbase32(crypto.createHash('sha1').update(local.toLowerCase()).digest());
+    const query = `?l=${encodeURIComponent(local)}`;
+    return [
+        `https://openpgpkey.${domain}/.well-known/openpgpkey/${domain}/hu/${hash}${query}`,
+        `https://${domain}/.well-known/openpgpkey/hu/${hash}${query}`
+    ];
+}
+
+async function fetchWkd(email, options = {}) {
+    const errors = [];
+    for (const url of wkdUrls(email)) {
+        try {
+            return await fetchUrl(url, options);
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+    throw new Error(`WKD lookup failed for ${email}: ${errors.join('; ')}`);
+}
+
+function hasUserIDFor(key, email) {
+    const wanted = email.trim().toLowerCase();
+    return key.getUserIDs().some(userID => {
+        const match = /<([^<>]+)>/.exec(userID);
+        return (match ? match[1] : userID).trim().toLowerCase() === wanted;
+    });
+}
+
+// Strips a key down to what signature verification needs: valid self-signatures
+// on each user ID, the valid bindings of each subkey, and every revocation.
+// Third-party certifications are dropped. A signature is checked against the
+// binding in force when it was made, so a re-bound subkey keeps its older
+// bindings; only bindings sharing a creation time with a later one are dropped.
+async function minimizeKey(key) {
+    const { enums } = await import('openpgp');
+    const minimized = key.clone();
+    const primaryKey = minimized.keyPacket;
+
+    const validSignatures = async (signatures, data, type) => {
+        const valid = [];
+        for (const signature of signatures) {
+            try {
+                await signature.verify(primaryKey, type || signature.signatureType, data);
+                valid.push(signature);
+            } catch (_) {
+                // Not made by this key, or no longer valid
+            }
         }
+        return valid;
+    };
+
+    minimized.directSignatures = await validSignatures(minimized.directSignatures, { key: primaryKey }, enums.signature.key);
+
+    const users = [];
+    for (const user of minimized.users) {
+        const data = { userID: user.userID, userAttribute: user.userAttribute, key: primaryKey };
+        user.selfCertifications = await validSignatures(user.selfCertifications, data);
+        user.otherCertifications = [];
+        if (user.selfCertifications.length > 0) users.push(user);
+    }
+    if (users.length === 0 && minimized.users.length > 0) {
+        throw new Error('No user ID has a valid self-signature');
+    }
+    minimized.users = users;
+
+    const subkeys = [];
+    for (const subkey of minimized.subkeys) {
+        const data = { key: primaryKey, bind: subkey.keyPacket };
+        const bindings = await validSignatures(subkey.bindingSignatures, data, enums.signature.subkeyBinding);
+        if (bindings.length === 0) continue;
+        bindings.sort((a, b) => a.created - b.created);
+        subkey.bindingSignatures = bindings.filter((binding, i) => i === bindings.length - 1 || binding.created < bindings[i + 1].created);
+        subkeys.push(subkey);
+    }
+    minimized.subkeys = subkeys;
+
+    return minimized;
+}
+
+function formatKB(bytes) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Returns an error message when the generated file is over budget, otherwise null
+function checkSizeBudget(content, budgetKB = DEFAULT_SIZE_BUDGET_KB) {
+    const size = Buffer.byteLength(content);
+    if (size <= budgetKB * 1024) return null;
+    return `known-keys.js would be ${size} bytes, over the ${budgetKB} KB size budget`;
+}
+
+// Human-readable name of one place a key is fetched from, recorded in confirmedBy
+function describeOrigin(origin) {
+    if (origin.strategy === 'url') return origin.url;
+    if (origin.strategy === 'keyserver') return (origin.keyservers || [origin.keyserver || 'keys.openpgp.org']).join(', ');
+    if (origin.strategy === 'wkd') return `WKD ${origin.email}`;
+    return String(origin.strategy);
+}
+
+// Fetches and parses every key one origin returns
+async function fetchOriginKeys(origin, expectedFingerprint, options) {
+    const { readKeys } = await import('openpgp');
+
+    let responses;
+    if (origin.strategy === 'url') {
+        responses = [await fetchUrl(origin.url, options)];
+    } else if (origin.strategy === 'keyserver') {
+        responses = await fetchKeyservers(origin, expectedFingerprint, options);
+    } else if (origin.strategy === 'wkd') {
+        responses = [await fetchWkd(origin.email, options)];
+    } else {
+        throw new Error(`Unknown strategy: ${origin.strategy}`);
+    }
+
+    let keys = [];
+    for (const keyData of responses) {
+        let received;
+        try {
+            received = await readKeys({ binaryKeys: keyData });
+        } catch (_) {
+            received = await readKeys({ armoredKeys: keyData.toString('utf8') });
+        }
+        keys.push(...received);
+    }
+    if (keys.length === 0) throw new Error('No keys found in response');
+
+    // A WKD response may only contain keys for the address that was looked up
+    if (origin.strategy === 'wkd') {
+        keys = keys.filter(k => hasUserIDFor(k, origin.email));
+        if (keys.length === 0) throw new Error(`No key with a user ID for ${origin.email} in WKD response`);
+    }
+
+    return keys;
+}
+
+// Fetches and checks one source; returns its db entry (null on failure) and summary lines
+async function buildEntry(source, options) {
+    const summary = [];
+
+    try {
+        const expectedFingerprint = normalizeFingerprint(source.fingerprint);
+        if (!expectedFingerprint) {
+            throw new Error('No fingerprint declared for this source; the fetched key cannot be checked');
+        }
+
+        // With several origins, every one that answers must return the declared key,
+        // and at least minSources (default: all of them) must answer; a single
+        // compromised server or URL then cannot change the database
+        const origins = source.sources || [source];
+        const required = source.minSources || origins.length;
+        const copies = [];
+        const dropped = new Set();
+        const confirmedBy = [];
+        const unreachable = [];
+
+        for (const origin of origins) {
+            const from = origins.length > 1 ? ` from ${describeOrigin(origin)}` : '';
+            let keys;
+            try {
+                keys = await fetchOriginKeys(origin, expectedFingerprint, options);
+            } catch (err) {
+                unreachable.push(`${err.message}${from}`);
+                // Give up as soon as too few origins are left to reach minSources
+                if (origins.length - unreachable.length < required) {
+                    throw new Error(unreachable.join('; '));
+                }
+                console.error(`  ! ${source.distro}: ${err.message}${from}; continuing with the other sources`);
+                continue;
+            }
+
+            // Only the declared key is trusted; anything else in the response is dropped
+            const matching = keys.filter(k => k.getFingerprint().toUpperCase() === expectedFingerprint);
+            if (matching.length === 0) {
+                const received = [...new Set(keys.map(k => k.getFingerprint().toUpperCase()))].join(', ');
+                throw new Error(`Fingerprint mismatch${from}: expected ${expectedFingerprint}, got ${received}`);
+            }
+
+            keys.filter(k => !matching.includes(k)).forEach(k => dropped.add(k.getFingerprint().toUpperCase()));
+            copies.push(...matching);
+            confirmedBy.push(describeOrigin(origin));
+        }
+
+        for (const extra of dropped) {
+            const message = `Dropped unexpected key ${extra} from response`;
+            console.error(`  ✗ ${source.distro}: ${message}`);
+            summary.push({ distro: source.distro, label: source.label, error: message });
+        }
+
+        // Keyservers and other origins disagree (e.g. stripped UIDs, missing subkeys
+        // or revocations), so copies from all of them are merged into one key
+        let key = copies[0];
+        for (const copy of copies.slice(1)) {
+            key = await key.update(copy);
+        }
+
+        const minimized = await minimizeKey(key);
+        const armoredKey = minimized.armor();
+        const savedBytes = key.armor().length - armoredKey.length;
+
+        const keyID = minimized.getKeyID().toHex().toLowerCase();
+        const fingerprint = minimized.getFingerprint().toUpperCase();
+        const state = await describeKey(minimized);
+        const entry = {
+            distro: source.distro,
+            label: source.label,
+            fingerprint,
+            keyID,
+            ...lifecycleFields(state),
+            subkeys: minimized.getSubkeys().map(subkey => {
+                const subkeyFingerprint = subkey.getFingerprint().toUpperCase();
+                return {
+                    keyID: subkey.getKeyID().toHex().toLowerCase(),
+                    fingerprint: subkeyFingerprint,
+                    ...lifecycleFields(state.subkeys[subkeyFingerprint])
+                };
+            }),
+            armoredKey,
+            confirmedBy
+        };
+        if (source.supersededBy) {
+            entry.supersededBy = normalizeFingerprint(source.supersededBy);
+        }
+
+        // Where to confirm the fingerprint independently, shown in the known-key banner
+        for (const field of ['notes', 'officialUrl', 'guidance']) {
+            if (source[field]) entry[field] = source[field];
+        }
+        summary.push({ distro: source.distro, label: source.label, keyID, fingerprint, size: armoredKey.length, savedBytes });
+        console.log(`  ✓ ${source.distro}: ${source.label} (${keyID}, ${formatKB(armoredKey.length)}, ${formatKB(savedBytes)} saved, ${confirmedBy.length} source${confirmedBy.length === 1 ? '' : 's'})`);
+        return { entry, summary };
+    } catch (err) {
+        console.error(`  ✗ FAILED: ${source.distro} — ${source.label}: ${err.message}`);
+        summary.push({ distro: source.distro, label: source.label, error: err.message });
+        return { entry: null, summary };
+    }
+}
+
+// Runs fn over items with at most limit calls in flight; results keep item order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// options: { concurrency } plus the fetchUrl() options (timeouts, retries, cache, offline)
+async function buildDb(sources, options = {}) {
+    const db = {};
+    const summary = [];
+    const results = await mapWithConcurrency(sources, options.concurrency || CONCURRENCY, source => buildEntry(source, options));
+
+    for (const result of results) {
+        if (result.entry) db[result.entry.fingerprint] = result.entry;
+        summary.push(...result.summary);
     }
 
     return { db, summary };
 }
 
+// Maps every primary fingerprint, primary key ID, subkey fingerprint and
+// subkey ID (lowercase) to the [primary fingerprint, matchedBy] pairs it names.
+// A 64-bit key ID can collide, so every ID maps to a list.
+function buildIndex(db) {
+    const index = {};
+    const add = (id, fingerprint, matchedBy) => {
+        if (!id) return;
+        const normalized = id.toLowerCase();
+        (index[normalized] = index[normalized] || []).push([fingerprint, matchedBy]);
+    };
+
+    for (const [fingerprint, entry] of Object.entries(db)) {
+        add(entry.fingerprint, fingerprint, 'fingerprint');
+        add(entry.keyID, fingerprint, 'key-id');
+        for (const subkey of entry.subkeys || []) {
+            add(subkey.fingerprint, fingerprint, 'subkey-fingerprint');
+            add(subkey.keyID, fingerprint, 'subkey-id');
+        }
+    }
+
+    return index;
+}
+
 function writeOutput(db, timestamp) {
     const keyCount = Object.keys(db).length;
     return `// Auto-generated by scripts/fetch-keys.js — do not edit manually
 // Last updated: ${timestamp}  Keys: ${keyCount}
 window.KnownKeys = (function() {
   const db = ${JSON.stringify(db, null, 2)};
+  const index = ${JSON.stringify(buildIndex(db), null, 2)};
+  function normalizeID(id) {
+    return String(id).replace(/\\s/g, '').replace(/^0x/i, '').toLowerCase();
+  }
   return {
-    lookup: function(keyID) {
-      return db[keyID] || null;
+    // Returns every entry whose primary key or subkey has this fingerprint or key ID,
+    // each tagged with matchedBy: fingerprint, key-id, subkey-fingerprint or subkey-id
+    lookup: function(id) {
+      return (index[normalizeID(id)] || []).map(function(ref) {
+        return Object.assign({ matchedBy: ref[1] }, db[ref[0]]);
+      });
     }
   };
 })();
 `;
 }
 
+// Reads the db object back out of a generated known-keys.js, keyed by primary fingerprint.
+// Older files keyed entries by key ID, so entries are re-keyed from their own fingerprint.
+function readCommittedDb(content) {
+    const match = /const db = ([\s\S]*?);\n/.exec(content);
+    if (!match) throw new Error('Could not find the key database in known-keys.js');
+
+    const db = {};
+    for (const entry of Object.values(JSON.parse(match[1]))) {
+        db[entry.fingerprint.toUpperCase()] = entry;
+    }
+    return db;
+}
+
+function formatExpiry(expirationTime) {
+    if (expirationTime === Infinity) return 'never';
+    if (expirationTime instanceof Date) return expirationTime.toISOString();
+    return 'unknown';
+}
+
+// Creation, expiry and revocation state of a primary key and each of its subkeys
+async function describeKey(key) {
+    const subkeys = {};
+    for (const subkey of key.getSubkeys()) {
+        subkeys[subkey.getFingerprint().toUpperCase()] = {
+            created: subkey.getCreationTime().toISOString(),
+            expires: formatExpiry(await subkey.getExpirationTime().catch(() => null)),
+            revoked: await subkey.isRevoked().catch(() => false)
+        };
+    }
+
+    return {
+        created: key.getCreationTime().toISOString(),
+        expires: formatExpiry(await key.getExpirationTime().catch(() => null)),
+        revoked: await key.isRevoked().catch(() => false),
+        subkeys
+    };
+}
+
+async function describeKeyState(armoredKey) {
+    const { readKey } = await import('openpgp');
+    return describeKey(await readKey({ armoredKey }));
+}
+
+// Lifecycle fields stored in each entry; expires is an ISO date, or null when
+// the key does not expire (or its expiry cannot be determined)
+function lifecycleFields(state) {
+    return {
+        created: state.created,
+        expires: /^\d/.test(state.expires) ? state.expires : null,
+        revoked: state.revoked
+    };
+}
+
+function sourceName(entry) {
+    return `${entry.distro} — ${entry.label}`;
+}
+
+// Compares two databases source by source (distro + label). Sources listed in
+// failedSources could not be fetched, so their absence is not reported as a removal.
+async function diffDbs(oldDb, newDb, failedSources = []) {
+    const diff = {
+        added: [],
+        removed: [],
+        fingerprintChanged: [],
+        newSubkeys: [],
+        expiryChanged: [],
+        newRevocations: []
+    };
+
+    const bySource = db => new Map(Object.values(db).map(entry => [sourceName(entry), entry]));
+    const oldSources = bySource(oldDb);
+    const newSources = bySource(newDb);
+    const failed = new Set(failedSources);
+
+    for (const [source, entry] of newSources) {
+        if (!oldSources.has(source)) {
+            diff.added.push({ source, fingerprint: entry.fingerprint });
+        }
+    }
+
+    for (const [source, oldEntry] of oldSources) {
+        const newEntry = newSources.get(source);
+        if (!newEntry) {
+            if (!failed.has(source)) diff.removed.push({ source, fingerprint: oldEntry.fingerprint });
+            continue;
+        }
+
+        if (newEntry.fingerprint !== oldEntry.fingerprint) {
+            diff.fingerprintChanged.push({ source, from: oldEntry.fingerprint, to: newEntry.fingerprint });
+            continue;
+        }
+
+        const fingerprint = newEntry.fingerprint;
+        const before = await describeKeyState(oldEntry.armoredKey);
+        const after = await describeKeyState(newEntry.armoredKey);
+
+        if (after.revoked && !before.revoked) {
+            diff.newRevocations.push({ source, fingerprint, subkey: null });
+        } else if (before.expires !== after.expires && before.expires !== 'unknown' && after.expires !== 'unknown') {
+            diff.expiryChanged.push({ source, fingerprint, subkey: null, from: before.expires, to: after.expires });
+        }
+
+        for (const [subkey, state] of Object.entries(after.subkeys)) {
+            const previous = before.subkeys[subkey];
+            if (!previous) {
+                diff.newSubkeys.push({ source, fingerprint, subkey });
+            } else if (state.revoked && !previous.revoked) {
+                diff.newRevocations.push({ source, fingerprint, subkey });
+            } else if (state.expires !== previous.expires && previous.expires !== 'unknown' && state.expires !== 'unknown') {
+                diff.expiryChanged.push({ source, fingerprint, subkey, from: previous.expires, to: state.expires });
+            }
+        }
+    }
+
+    // Anything that could mean a substituted or withdrawn key needs a human before it ships
+    diff.securityRelevant = diff.removed.length > 0 ||
+        diff.fingerprintChanged.length > 0 ||
+        diff.newSubkeys.length > 0 ||
+        diff.newRevocations.length > 0;
+
+    return diff;
+}
+
+// Keys and subkeys that are not revoked and expire within the given number of
+// days (or have already expired)
+function findExpiringKeys(db, days, now = new Date()) {
+    const cutoff = now.getTime() + days * 24 * 60 * 60 * 1000;
+    const expiring = [];
+    const check = (entry, record, subkey) => {
+        if (record.revoked || !record.expires || Date.parse(record.expires) > cutoff) return;
+        expiring.push({
+            source: sourceName(entry),
+            fingerprint: entry.fingerprint,
+            subkey,
+            expires: record.expires,
+            isExpired: Date.parse(record.expires) <= now.getTime()
+        });
+    };
+
+    for (const entry of Object.values(db)) {
+        check(entry, entry, null);
+        for (const subkey of entry.subkeys || []) {
+            check(entry, subkey, subkey.fingerprint);
+        }
+    }
+    return expiring;
+}
+
+// Markdown report, printed by --check and suitable as the update PR body
+function formatReport(diff, failures = [], expiring = []) {
+    const keyRef = item => item.subkey ? `subkey \`${item.subkey}\` of \`${item.fingerprint}\`` : `\`${item.fingerprint}\``;
+    const sections = [
+        ['Keys removed', diff.removed, item => `**${item.source}**: ${keyRef(item)}`, true],
+        ['Fingerprint changed', diff.fingerprintChanged, item => `**${item.source}**: \`${item.from}\` → \`${item.to}\``, true],
+        ['New subkeys', diff.newSubkeys, item => `**${item.source}**: ${keyRef(item)}`, true],
+        ['New revocations', diff.newRevocations, item => `**${item.source}**: ${keyRef(item)}`, true],
+        ['Keys added', diff.added, item => `**${item.source}**: ${keyRef(item)}`, false],
+        ['Expiry changes', diff.expiryChanged, item => `**${item.source}**: ${keyRef(item)} ${item.from} → ${item.to}`, false],
+        ['Expired or expiring soon', expiring, item => `**${item.source}**: ${keyRef(item)} ${item.isExpired ? 'expired' : 'expires'} ${item.expires}`, false]
+    ];
+
+    const lines = ['## Known keys update report', ''];
+
+    if (diff.securityRelevant) {
+        lines.push('> **⚠️ Security-relevant changes.** Confirm each one against the distribution\'s official announcement before merging.', '');
+    }
+
+    lines.push('| Change | Count |', '| --- | --- |');
+    sections.forEach(([title, items]) => lines.push(`| ${title} | ${items.length} |`));
+    lines.push(`| Fetch failures | ${failures.length} |`, '');
+
+    const changed = sections.filter(([, items]) => items.length > 0);
+    if (changed.length === 0 && failures.length === 0) {
+        lines.push('No changes to known keys.');
+    }
+
+    changed.forEach(([title, items, describe, isSecurity]) => {
+        lines.push(`### ${isSecurity ? '⚠️ ' : ''}${title}`, '');
+        items.forEach(item => lines.push(`- ${describe(item)}`));
+        lines.push('');
+    });
+
+    if (failures.length > 0) {
+        lines.push('### Fetch failures', '');
+        failures.forEach(f => lines.push(`- **${sourceName(f)}**: ${f.error}`));
+        lines.push('');
+    }
+
+    lines.push(
+        '**Review checklist before merging:**',
+        '- [ ] Every security-relevant change above is confirmed on the official distribution page',
+        '- [ ] New keys and subkeys are announced by the distribution',
+        '- [ ] No key was removed unexpectedly'
+    );
+
+    return lines.join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const options = {
+        check: false,
+        reportFile: null,
+        sizeBudgetKB: DEFAULT_SIZE_BUDGET_KB,
+        expiryWarningDays: DEFAULT_EXPIRY_WARNING_DAYS,
+        offline: false,
+        cacheDir: CACHE_DIR
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--check') {
+            options.check = true;
+        } else if (argv[i] === '--report-file') {
+            options.reportFile = argv[++i];
+            if (!options.reportFile) throw new Error('--report-file needs a path');
+        } else if (argv[i] === '--size-budget-kb') {
+            options.sizeBudgetKB = Number(argv[++i]);
+            if (!(options.sizeBudgetKB > 0)) throw new Error('--size-budget-kb needs a positive number');
+        } else if (argv[i] === '--expiry-warning-days') {
+            options.expiryWarningDays = Number(argv[++i]);
+            if (!(options.expiryWarningDays >= 0)) throw new Error('--expiry-warning-days needs a number of days');
+        } else if (argv[i] === '--offline') {
+            options.offline = true;
+        } else if (argv[i] === '--cache-dir') {
+            options.cacheDir = argv[++i];
+            if (!options.cacheDir) throw new Error('--cache-dir needs a path');
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
 async function main() {
+    const options = parseArgs(process.argv.slice(2));
     const sources = JSON.parse(fs.readFileSync(SOURCES_FILE, 'utf8'));
-    console.log(`Fetching ${sources.length} key sources...`);
+    const sourceErrors = validateSources(sources);
+    if (sourceErrors.length > 0) {
+        console.error(`${path.basename(SOURCES_FILE)} is invalid:`);
+        sourceErrors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    console.log(`${options.offline ? 'Rebuilding from cache' : 'Fetching'} ${sources.length} key sources...`);
+
+    const { db, summary } = await buildDb(sources, { cache: createCache(options.cacheDir), offline: options.offline });
+    const failed = summary.filter(s => s.error);
+
+    const savedBytes = summary.reduce((total, s) => total + (s.savedBytes || 0), 0);
+    console.log(`\nMinimized keys: ${formatKB(savedBytes)} of certifications and superseded signatures removed`);
 
-    const { db, summary } = await buildDb(sources);
     const timestamp = new Date().toISOString();
     const content = writeOutput(db, timestamp);
+    const budgetError = checkSizeBudget(content, options.sizeBudgetKB);
+    if (budgetError) {
+        console.error(budgetError);
+    }
+
+    const committedDb = fs.existsSync(OUTPUT_FILE) ? readCommittedDb(fs.readFileSync(OUTPUT_FILE, 'utf8')) : {};
+    const diff = await diffDbs(committedDb, db, failed.map(sourceName));
+    const expiring = findExpiringKeys(db, options.expiryWarningDays);
+    expiring.forEach(item => {
+        const subject = item.subkey ? `subkey ${item.subkey}` : item.fingerprint;
+        console.warn(`  ⚠ ${item.source}: ${subject} ${item.isExpired ? 'expired' : 'expires'} ${item.expires}`);
+    });
+
+    const report = formatReport(diff, failed, expiring);
+    if (options.reportFile) {
+        fs.writeFileSync(options.reportFile, report);
+    }
+
+    if (options.check) {
+        console.log('\n' + report);
+        if (diff.securityRelevant) {
+            console.error('Security-relevant key changes found; review the report above.');
+        }
+        process.exit(diff.securityRelevant || failed.length > 0 || budgetError ? 1 : 0);
+    }
+
+    if (budgetError) {
+        process.exit(1);
+    }
 
     fs.writeFileSync(OUTPUT_FILE, content);
     console.log(`\nWrote ${Object.keys(db).length} keys to ${OUTPUT_FILE}`);
 
-    const failed = summary.filter(s => s.error);
     if (failed.length > 0) {
         console.error(`\n${failed.length} source(s) failed:`);
         failed.forEach(f => console.error(`  - ${f.distro}: ${f.error}`));
@@ -105,4 +954,4 @@ if (require.main === module) {
     main().catch(err => { console.error('Fatal:', err.message); process.exit(1); });
 }
 
-module.exports = { buildDb, writeOutput, fetchUrl, fetchKeyserver };
+module.exports = { validateSources, buildDb, createCache, buildIndex, minimizeKey, checkSizeBudget, writeOutput, readCommittedDb, describeKeyState, diffDbs, findExpiringKeys, formatReport, fetchUrl, fetchKeyserver, keyserverUrl, fetchWkd, wkdUrls, zbase32 };
@@ -4,9 +4,11 @@
  */
 
 const { chromium } = require('playwright');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const { verifyChecksumFile } = require('./test-helpers');
 
 const ROOT = path.join(__dirname, '..');
 const FIXTURES = path.join(__dirname, 'test-data');
@@ -244,6 +246,312 @@ async function testDetachedVerification(page, url) {
     await assert(resultText.includes('Detached Signature'), 'Detached signature verifies successfully');
 }
 
+async function testMultiSignatureReport(page, url) {
+    printSection('Multi-Signature Report');
+
+    await gotoApp(page, url);
+
+    // Sign one clearsigned message with two fresh keys, but only load the first
+    // key so the second signature is reported as coming from an unknown key.
+    const fixtures = await page.evaluate(async () => {
+        const generate = (name) => window.openpgp.generateKey({
+            type: 'ecc',
+            curve: 'curve25519Legacy',
+            userIDs: [{ name, email: 'release@example.com' }],
+            format: 'object'
+        });
+        const releaseKey = await generate('Release Key');
+        const maintainerKey = await generate('Maintainer Key');
+        const message = await window.openpgp.createCleartextMessage({ text: 'multi-signature release notes\n' });
+        const signed = await window.openpgp.sign({
+            message,
+            signingKeys: [releaseKey.privateKey, maintainerKey.privateKey]
+        });
+        return { publicKey: releaseKey.publicKey.armor(), signed };
+    });
+
+    await page.locator('#key-text').fill(fixtures.publicKey);
+    await page.locator('#signed-text').fill(fixtures.signed);
+    await waitForResult(page, 'PARTIALLY VALID');
+
+    const resultText = await page.locator('#result').textContent();
+    await assert(
+        await page.locator('.signature-report').count() === 2,
+        'Each signature in a multi-signature message gets its own report'
+    );
+    await assert(resultText.includes('1 OF 2 SIGNATURES VERIFIED'), 'Overall verdict states how many signatures verified');
+    await assert(resultText.includes('Unknown key'), 'Signature from a key that is not loaded is reported separately');
+    await assert(
+        (await page.locator('#app-status-badge').textContent()) === 'Partially Verified',
+        'Status badge reflects a partial verdict'
+    );
+}
+
+async function testKeyValidityVerdicts(page, url) {
+    printSection('Key Validity Verdicts');
+
+    // Keys are created 30 days in the past. One expires after 10 days, the
+    // other is revoked as superseded on day 5; both signatures are made on day 1.
+    const generateFixture = (kind) => page.evaluate(async (fixtureKind) => {
+        const day = 24 * 60 * 60 * 1000;
+        const created = new Date(Date.now() - 30 * day);
+        const { privateKey, publicKey } = await window.openpgp.generateKey({
+            type: 'ecc',
+            curve: 'curve25519Legacy',
+            userIDs: [{ name: 'Lifecycle Key', email: 'lifecycle@example.com' }],
+            keyExpirationTime: fixtureKind === 'expired' ? 10 * 24 * 60 * 60 : 0,
+            date: created,
+            format: 'object'
+        });
+        const signed = await window.openpgp.sign({
+            message: await window.openpgp.createCleartextMessage({ text: 'lifecycle test\n' }),
+            signingKeys: privateKey,
+            date: new Date(created.getTime() + day)
+        });
+        if (fixtureKind === 'expired') {
+            return { publicKey: publicKey.armor(), signed };
+        }
+        const revoked = await window.openpgp.revokeKey({
+            key: privateKey,
+            reasonForRevocation: { flag: window.openpgp.enums.reasonForRevocation.keySuperseded },
+            date: new Date(created.getTime() + 5 * day),
+            format: 'object'
+        });
+        return { publicKey: revoked.publicKey.armor(), signed };
+    }, kind);
+
+    await gotoApp(page, url);
+    let fixtures = await generateFixture('expired');
+    await page.locator('#key-text').fill(fixtures.publicKey);
+    await page.locator('#signed-text').fill(fixtures.signed);
+    await waitForResult(page, 'SIGNATURE VALID');
+
+    let resultText = await page.locator('#result').textContent();
+    await assert(resultText.includes('KEY NOW EXPIRED'), 'Signature from a since-expired key gets its own verdict');
+    await assert(resultText.includes('(expired)'), 'Key expiry date is shown in the result');
+    await assert(
+        (await page.locator('#app-status-badge').textContent()).includes('Key Warning'),
+        'Status badge flags the expired signing key'
+    );
+
+    await gotoApp(page, url);
+    fixtures = await generateFixture('revoked');
+    await page.locator('#key-text').fill(fixtures.publicKey);
+    await page.locator('#signed-text').fill(fixtures.signed);
+    await waitForResult(page, 'SIGNATURE VALID');
+
+    resultText = await page.locator('#result').textContent();
+    await assert(resultText.includes('KEY SINCE REVOKED'), 'Signature made before a revocation is flagged as key since revoked');
+    await assert(resultText.includes('Revoked:'), 'Revocation date is shown in the result');
+}
+
+async function testSubkeySignature(page, url) {
+    printSection('Subkey Signature');
+
+    await gotoApp(page, url);
+
+    // Sign with a dedicated signing subkey so the issuer is not the primary key ID
+    const fixtures = await page.evaluate(async () => {
+        const { privateKey, publicKey } = await window.openpgp.generateKey({
+            type: 'ecc',
+            curve: 'curve25519Legacy',
+            userIDs: [{ name: 'Subkey Signer', email: 'subkey@example.com' }],
+            subkeys: [{}, { sign: true }],
+            format: 'object'
+        });
+        const data = 'signed by a subkey\n';
+        const signature = await window.openpgp.sign({
+            message: await window.openpgp.createMessage({ text: data }),
+            signingKeys: privateKey,
+            detached: true
+        });
+        return {
+            publicKey: publicKey.armor(),
+            primaryFingerprint: publicKey.getFingerprint().toUpperCase(),
+            subkeyID: publicKey.subkeys[1].getKeyID().toHex().toUpperCase(),
+            signature,
+            data
+        };
+    });
+
+    await page.locator('#key-text').fill(fixtures.publicKey);
+    await page.locator('#signed-file').setInputFiles({
+        name: 'subkey.txt.asc',
+        mimeType: 'text/plain',
+        buffer: Buffer.from(fixtures.signature)
+    });
+    await page.waitForFunction(() => document.getElementById('detached-data-wrapper').style.display !== 'none');
+
+    const signedInfo = await page.locator('#signed-info').textContent();
+    await assert(signedInfo.includes('Matches loaded key'), 'Detached subkey signature is matched to the loaded key');
+
+    await page.locator('#detached-data-file').setInputFiles({
+        name: 'subkey.txt',
+        mimeType: 'text/plain',
+        buffer: Buffer.from(fixtures.data)
+    });
+    await waitForResult(page, 'SIGNATURE VALID');
+
+    const resultText = await page.locator('#result').textContent();
+    await assert(resultText.includes(`${fixtures.subkeyID} (subkey)`), 'Result names the signing subkey');
+    await assert(resultText.includes('Capabilities:'), 'Result lists the subkey capabilities');
+    await assert(
+        resultText.includes('Primary Fingerprint:') && resultText.includes(fixtures.primaryFingerprint),
+        'Result shows the parent primary fingerprint'
+    );
+}
+
+async function testAlgorithmAudit(page, url) {
+    printSection('Algorithm Audit');
+
+    await gotoApp(page, url);
+    await page.locator('#public-key').setInputFiles(fixture('weak-rsa1024-key.asc'));
+    await page.locator('#signed-file').setInputFiles(fixture('weak-sha1.txt.asc'));
+    await waitForResult(page, 'SIGNATURE INVALID');
+
+    const resultText = await page.locator('#result').textContent();
+    await assert(resultText.includes('SHA-1'), 'Audit lists the signature hash algorithm');
+    await assert(resultText.includes('RSA 1024-bit'), 'Audit lists the key algorithm and size');
+    await assert(
+        await page.locator('.algorithm-audit .audit-weak').count() === 2,
+        'SHA-1 and a 1024-bit RSA key are both flagged as weak'
+    );
+}
+
+async function testPolicyProfiles(page, url) {
+    printSection('Policy Profiles');
+
+    // Lenient accepts SHA-1 and small RSA keys but reports them as warnings
+    await gotoApp(page, url);
+    await page.locator('#policy-profile').selectOption('lenient');
+    await page.locator('#public-key').setInputFiles(fixture('weak-rsa1024-key.asc'));
+    await page.locator('#signed-file').setInputFiles(fixture('weak-sha1.txt.asc'));
+    await waitForResult(page, 'WEAK ALGORITHMS');
+
+    let resultText = await page.locator('#result').textContent();
+    await assert(resultText.includes('Lenient'), 'Result shows the active policy profile');
+    await assert(
+        (await page.locator('#app-status-policy').textContent()).includes('1 violation'),
+        'Status area shows the policy and its violation count'
+    );
+
+    // Strict rejects a valid signature whose key is neither pinned nor known, and the choice persists
+    await page.locator('#policy-profile').selectOption('strict');
+    await gotoApp(page, url);
+    await assert(
+        await page.locator('#policy-profile').inputValue() === 'strict',
+        'Policy profile persists across reloads'
+    );
+    await uploadPublicKey(page);
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'REJECTED BY POLICY');
+
+    resultText = await page.locator('#result').textContent();
+    await assert(resultText.includes('not pinned or in the known-keys database'), 'Strict policy explains the rule violation');
+    await assert(
+        (await page.locator('#app-status-badge').textContent()) === 'Rejected by Policy',
+        'Status badge reflects the policy rejection'
+    );
+
+    await page.locator('#policy-profile').selectOption('standard');
+}
+
+async function testExpectedFingerprintPin(page, url) {
+    printSection('Expected Fingerprint Pin');
+
+    await gotoApp(page, url);
+    // Fingerprint of test-data/public-key.asc, pasted the way distro websites print it
+    await page.locator('#expected-fingerprint').fill('0x9591 f6c0 04f0 1d8d 48c1  cdc0 2672 e658 7fb0 a5a2');
+    await uploadPublicKey(page);
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'FINGERPRINT CONFIRMED');
+
+    await assert(
+        (await page.locator('#result').getAttribute('class')).includes('success'),
+        'Matching pin gives a fully green result'
+    );
+
+    // Change one character: the result must stop being green and point at the difference
+    await page.locator('#expected-fingerprint').fill('9591F6C004F01D8D48C1CDC02672E6587FB0A5A3');
+    await waitForResult(page, 'FINGERPRINT MISMATCH');
+
+    await assert(
+        (await page.locator('#result').getAttribute('class')).includes('error'),
+        'Mismatched pin is not shown as a success'
+    );
+    await assert(
+        await page.locator('.fingerprint-diff .fp-mismatch').count() === 2,
+        'Character diff marks the single differing character in both fingerprints'
+    );
+    await assert(
+        (await page.locator('#app-status-badge').textContent()) === 'Fingerprint Mismatch',
+        'Status badge reports the fingerprint mismatch'
+    );
+}
+
+async function testFingerprintFormats(page, url) {
+    printSection('Fingerprint Formats');
+
+    await gotoApp(page, url);
+    await uploadPublicKey(page);
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'SIGNATURE VALID');
+
+    const formats = page.locator('#result .fingerprint-formats');
+    await formats.locator('summary').click();
+
+    // 20-byte v4 fingerprint: one word per byte, shown two words per 4-hex-digit group
+    await assert(await formats.locator('.pgp-words li').count() === 10, 'PGP word list covers every fingerprint byte');
+    await assert(
+        (await formats.locator('.pgp-words').textContent()).startsWith('preclude miracle'),
+        'PGP words follow the even/odd word lists (0x95 0x91)'
+    );
+    await assert(
+        (await formats.locator('.fingerprint-randomart').textContent()).includes('[SHA1]'),
+        'Randomart is drawn for the fingerprint'
+    );
+    await assert(await formats.locator('svg.fingerprint-qr').count() === 1, 'QR code is rendered inline without network access');
+}
+
+async function testWebOfTrust(page, url) {
+    printSection('Web of Trust');
+
+    // wot-keys.asc holds Alice (ultimate), Bob (certified by Alice) and the test key (certified by Bob)
+    await gotoApp(page, url);
+    await page.locator('#ownertrust-file').setInputFiles(fixture('wot-ownertrust.txt'));
+    await assert(
+        (await page.locator('#ownertrust-info').textContent()).includes('1 ultimate, 1 full'),
+        'Ownertrust import summarizes trust levels'
+    );
+    await page.locator('#public-key').setInputFiles(fixture('wot-keys.asc'));
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'SIGNATURE VALID');
+
+    const pathSteps = await page.locator('.trust-path li').allTextContents();
+    await assert(pathSteps.length === 3, 'Certification path runs trusted root -> introducer -> signer');
+    await assert(pathSteps[0].includes('Alice Root') && pathSteps[0].includes('ultimate'), 'Path starts at the ultimately trusted key');
+    await assert(pathSteps[1].includes('Bob Introducer') && pathSteps[1].includes('full'), 'Path passes through the fully trusted introducer');
+    await assert(pathSteps[2].includes('Test User'), 'Path ends at the signer');
+
+    // Without ownertrust for the introducer there is no path
+    await gotoApp(page, url);
+    const ownertrust = fs.readFileSync(fixture('wot-ownertrust.txt'), 'utf8').replace(/:5:/, ':2:');
+    await page.locator('#ownertrust-file').setInputFiles({ name: 'ownertrust.txt', mimeType: 'text/plain', buffer: Buffer.from(ownertrust) });
+    await page.locator('#public-key').setInputFiles(fixture('wot-keys.asc'));
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'SIGNATURE VALID');
+    const missing = await page.locator('.trust-path-missing').textContent();
+    await assert(missing.includes('No certification path') && missing.includes('Bob Introducer'), 'Untrusted introducer gives no path but lists the certifier');
+
+    // Malformed ownertrust is reported inline
+    await gotoApp(page, url);
+    await page.locator('#ownertrust-file').setInputFiles({ name: 'ownertrust.txt', mimeType: 'text/plain', buffer: Buffer.from('not an ownertrust export') });
+    await assert(
+        (await page.locator('#key-section-error').textContent()).includes('Invalid Ownertrust File'),
+        'Malformed ownertrust file shows an inline error'
+    );
+}
+
 async function testChecksumVerification(page, url) {
     printSection('Checksum Verification');
 
@@ -269,6 +577,195 @@ async function testChecksumVerification(page, url) {
     );
 }
 
+async function testChecksumAlgorithms(page, url) {
+    printSection('Checksum Algorithms');
+
+    const data = await fs.promises.readFile(fixture('test-file-4.txt'));
+    const digest = (algorithm) => crypto.createHash(algorithm).update(data).digest('hex');
+
+    const verifyWith = async (content, sourceName) => {
+        const result = await verifyChecksumFile(page, url, content, sourceName, fixture('test-file-4.txt'));
+        return { algorithm: await page.locator('.checksum-algorithm').textContent(), result };
+    };
+
+    // FreeBSD CHECKSUM.SHA512 uses BSD tags
+    let outcome = await verifyWith(`SHA512 (test-file-4.txt) = ${digest('sha512')}\n`, 'CHECKSUM.SHA512');
+    await assert(outcome.algorithm.includes('SHA-512') && outcome.result.includes('CHECKSUM VERIFIED'), 'BSD-tagged SHA-512 checksums verify');
+
+    // Arch b2sums.txt has untagged 128-digit digests; the file name selects BLAKE2b
+    outcome = await verifyWith(`${digest('blake2b512')}  test-file-4.txt\n`, 'b2sums.txt');
+    await assert(outcome.algorithm.includes('BLAKE2b-512') && outcome.result.includes('CHECKSUM VERIFIED'), 'b2sums.txt digests verify as BLAKE2b-512');
+
+    // b2sum -l 256 output, tagged and untagged; Node's crypto has no 256-bit BLAKE2b
+    const blake2b256 = '511bc81dde11180838c562c82bb35f3223f46061ebde4a955c27b3f489cf1e03';
+    outcome = await verifyWith(`BLAKE2b-256 (test-file-4.txt) = ${blake2b256}\n`, null);
+    await assert(outcome.algorithm.includes('BLAKE2b-256') && outcome.result.includes('CHECKSUM VERIFIED'), 'BLAKE2b-256 tags verify with a 256-bit BLAKE2b');
+    outcome = await verifyWith(`${blake2b256}  test-file-4.txt\n`, 'b2sums.txt');
+    await assert(outcome.algorithm.includes('BLAKE2b-256') && outcome.result.includes('CHECKSUM VERIFIED'), 'Untagged 64-digit digests in b2sums.txt are BLAKE2b-256, not SHA-256');
+
+    // Lines that cannot be checked are listed instead of dropped
+    outcome = await verifyWith(`SHA256 (test-file-4.txt) = ${digest('sha256')}\nSHA3-256 (other.iso) = ${'ab'.repeat(32)}\n`, null);
+    await assert(
+        (await page.locator('.checksum-unsupported').textContent()).includes('other.iso'),
+        'Checksum list reports lines with an unsupported algorithm'
+    );
+
+    // Without a hint, 128-digit digests are SHA-512 (Kali SHA512SUMS)
+    outcome = await verifyWith(`${digest('sha512')}  test-file-4.txt\n`, null);
+    await assert(outcome.algorithm.includes('SHA-512') && outcome.result.includes('CHECKSUM VERIFIED'), 'Untagged 128-digit digests default to SHA-512');
+
+    outcome = await verifyWith(`SHA384 (test-file-4.txt) = ${digest('sha384')}\nSHA224 (other.iso) = ${digest('sha224')}\n`, null);
+    await assert(outcome.result.includes('CHECKSUM VERIFIED') && outcome.algorithm.includes('SHA-224'), 'Mixed SHA-384 and SHA-224 lists verify each entry with its own algorithm');
+    await assert(await page.locator('.checksum-item-algorithm').count() === 2, 'Mixed-algorithm lists label each entry');
+
+    // Legacy MD5SUMS still verify, with a warning
+    outcome = await verifyWith(`${digest('md5')}  test-file-4.txt\n`, 'MD5SUMS');
+    await assert(outcome.algorithm.includes('MD5') && outcome.result.includes('CHECKSUM VERIFIED'), 'MD5SUMS checksums verify');
+    await assert(outcome.result.includes('MD5 is broken'), 'MD5 results warn that tampering is not ruled out');
+    await assert(await page.locator('#checksum-list .checksum-weak-algorithm').count() === 1, 'Checksum list warns about MD5');
+
+    outcome = await verifyWith(`${digest('sha1')} *test-file-4.txt\n`, 'SHA1SUMS');
+    await assert(outcome.result.includes('CHECKSUM VERIFIED') && outcome.result.includes('SHA-1 is broken'), 'SHA-1 checksums verify with a weak algorithm warning');
+
+    outcome = await verifyWith(`SHA512 (test-file-4.txt) = ${digest('sha384')}${digest('sha1').slice(0, 32)}\n`, null);
+    await assert(outcome.result.includes('CHECKSUM MISMATCH'), 'A wrong SHA-512 digest is reported as a mismatch');
+}
+
+async function testChecksumMultipleDigests(page, url) {
+    printSection('Checksum Multiple Digests');
+
+    const data = await fs.promises.readFile(fixture('test-file-4.txt'));
+    const digest = (algorithm) => crypto.createHash(algorithm).update(data).digest('hex');
+
+    // Fedora CHECKSUM files list SHA-256 and SHA-512 for the same image
+    let result = await verifyChecksumFile(page, url,
+        `SHA256 (test-file-4.txt) = ${digest('sha256')}\nSHA512 (test-file-4.txt) = ${digest('sha512')}\n`,
+        'CHECKSUM', fixture('test-file-4.txt')
+    );
+    await assert(await page.locator('.checksum-item').count() === 1, 'Digests for the same file share one checksum entry');
+    await assert(await page.locator('.checksum-item .checksum-hash').count() === 2, 'Checksum list shows every digest for the file');
+    await assert(result.includes('CHECKSUM VERIFIED'), 'File verifies when every listed digest matches');
+    await assert(
+        await page.locator('#checksum-result .checksum-digest-result.match').count() === 2,
+        'Result reports each digest that was checked'
+    );
+
+    result = await verifyChecksumFile(page, url,
+        `SHA256 (test-file-4.txt) = ${digest('sha256')}\nSHA512 (test-file-4.txt) = ${digest('sha384')}${'0'.repeat(32)}\n`,
+        'CHECKSUM', fixture('test-file-4.txt')
+    );
+    await assert(result.includes('CHECKSUM MISMATCH') && result.includes('1 of 2'), 'One wrong digest fails the file even when another matches');
+    await assert(
+        await page.locator('#checksum-result .checksum-digest-result.mismatch').count() === 1,
+        'Result marks which digest did not match'
+    );
+}
+
+async function testChecksumReservedNames(page, url) {
+    printSection('Checksum Reserved Names');
+
+    const data = await fs.promises.readFile(fixture('test-file-4.txt'));
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    // Paths that collide with Object.prototype members are ordinary entries
+    const manifest = [
+        `${'ab'.repeat(32)}  hasOwnProperty`,
+        `${sha256}  __proto__`,
+        `${sha256}  test-file-4.txt`,
+        `${'cd'.repeat(32)}  constructor`
+    ].join('\n');
+    const upload = (name) => ({ name, mimeType: 'text/plain', buffer: data });
+
+    let result = await verifyChecksumFile(page, url, manifest, 'SHA256SUMS', upload('test-file-4.txt'));
+    await assert(await page.locator('.checksum-item').count() === 4, 'Paths named hasOwnProperty, __proto__ and constructor are listed');
+    await assert(result.includes('CHECKSUM VERIFIED'), 'A manifest listing hasOwnProperty still verifies other files');
+
+    result = await verifyChecksumFile(page, url, manifest, 'SHA256SUMS', upload('__proto__'));
+    await assert(result.includes('CHECKSUM VERIFIED') && result.includes('__proto__'), 'A file named __proto__ verifies against its own entry');
+
+    result = await verifyChecksumFile(page, url, manifest, 'SHA256SUMS', upload('hasOwnProperty'));
+    await assert(result.includes('CHECKSUM MISMATCH'), 'A file named hasOwnProperty is checked against its own entry');
+}
+
+async function testChecksumSinglePass(page, url) {
+    printSection('Checksum Single Read Pass');
+
+    const data = await fs.promises.readFile(fixture('test-file-4.txt'));
+    const digest = (algorithm) => crypto.createHash(algorithm).update(data).digest('hex');
+    const manifest = [
+        `SHA256 (other.iso) = ${digest('sha384').slice(0, 64)}`,
+        `SHA256 (test-file-4.txt) = ${digest('sha256')}`,
+        `SHA512 (test-file-4.txt) = ${digest('sha512')}`,
+        `BLAKE2b (test-file-4.txt) = ${digest('blake2b512')}`
+    ].join('\n');
+
+    const countStreamReads = () => {
+        window.__streamReads = 0;
+        const originalStream = Blob.prototype.stream;
+        Blob.prototype.stream = function() {
+            window.__streamReads++;
+            return originalStream.call(this);
+        };
+    };
+    const verifyAs = async (name) => {
+        const result = await verifyChecksumFile(page, url, manifest, 'CHECKSUM', { name, mimeType: 'text/plain', buffer: data }, {
+            beforeShow: countStreamReads,
+            // Unlisted names ask for confirmation before matching by hash
+            acceptDialog: name !== 'test-file-4.txt'
+        });
+        return { result, reads: await page.evaluate(() => window.__streamReads) };
+    };
+
+    let outcome = await verifyAs('test-file-4.txt');
+    await assert(outcome.result.includes('CHECKSUM VERIFIED'), 'SHA-256, SHA-512 and BLAKE2b digests verify together');
+    await assert(outcome.reads === 1, 'All three algorithms are calculated in one read of the file', `${outcome.reads} reads`);
+
+    // A renamed file is found by hash with every algorithm in the list, still in one read
+    outcome = await verifyAs('renamed.txt');
+    await assert(
+        outcome.result.includes('CHECKSUM VERIFIED') && outcome.result.includes('test-file-4.txt'),
+        'Renamed file is matched by hash across algorithms'
+    );
+    await assert(outcome.reads === 1, 'Matching a renamed file by hash reads it once', `${outcome.reads} reads`);
+}
+
+async function testChecksumPaths(page, url) {
+    printSection('Checksum Paths and Collisions');
+
+    const data = await fs.promises.readFile(fixture('test-file-4.txt'));
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const otherHash = 'ab'.repeat(32);
+
+    const upload = (name) => ({ name, mimeType: 'application/octet-stream', buffer: data });
+
+    // Debian-style manifests list the same image name under several directories
+    let result = await verifyChecksumFile(page, url, `${otherHash}  amd64/netinst.iso\n${sha256}  ./arm64/netinst.iso\n`, 'SHA256SUMS', upload('netinst.iso'));
+    await assert(await page.locator('.checksum-item').count() === 2, 'Entries with the same basename in different directories stay separate');
+    await assert(
+        (await page.locator('#checksum-list').textContent()).includes('arm64/netinst.iso'),
+        'Checksum list shows the relative path'
+    );
+    await assert(await page.locator('.checksum-item.ambiguous').count() === 2, 'Checksum list flags ambiguous basenames');
+    await assert(
+        result.includes('CHECKSUM VERIFIED') && result.includes('arm64/netinst.iso'),
+        'Ambiguous basename is resolved by checksum to the right path'
+    );
+    await assert(
+        await page.locator('.checksum-item.verified').textContent().then((text) => text.includes('arm64/netinst.iso')),
+        'Only the matching path is marked verified'
+    );
+
+    result = await verifyChecksumFile(page, url, `${otherHash}  amd64/netinst.iso\n${'cd'.repeat(32)}  arm64/netinst.iso\n`, 'SHA256SUMS', upload('netinst.iso'));
+    await assert(result.includes('CHECKSUM MISMATCH') && result.includes('listed 2 times'), 'A file matching none of the same-named entries is a mismatch');
+
+    // The same path listed twice with different digests is a manifest error, not a verification
+    result = await verifyChecksumFile(page, url, `${sha256}  test-file-4.txt\n${otherHash}  test-file-4.txt\n`, 'SHA256SUMS', upload('test-file-4.txt'));
+    await assert(
+        (await page.locator('.checksum-manifest-error').textContent()).includes('test-file-4.txt'),
+        'Checksum list reports conflicting duplicate entries'
+    );
+    await assert(result.includes('CHECKSUM MANIFEST ERROR') && !result.includes('CHECKSUM VERIFIED'), 'Conflicting entries are never reported as verified');
+}
+
 async function testChecksumEscaping(page, url) {
     printSection('Checksum XSS Regression');
 
@@ -482,20 +979,23 @@ async function testKnownKeyBanner(page, url) {
     // Read the test key so we can put it in the mock KnownKeys database
     const testKeyArmored = fs.readFileSync(path.join(FIXTURES, 'public-key.asc'), 'utf8');
 
-    // Inject a KnownKeys database that maps the test key's ID to a mock entry.
+    // Inject a KnownKeys database that indexes the test key by fingerprint and key ID.
     // Key ID is the last 16 hex chars of fingerprint 9591F6C004F01D8D48C1CDC02672E6587FB0A5A2
     await page.evaluate((armoredKey) => {
         window.KnownKeys = {
-            lookup: function(keyID) {
-                if (keyID === '2672e6587fb0a5a2') {
-                    return {
-                        distro: 'TestDistro',
-                        label: 'TestDistro Release Key',
-                        fingerprint: '9591F6C004F01D8D48C1CDC02672E6587FB0A5A2',
-                        armoredKey: armoredKey
-                    };
-                }
-                return null;
+            lookup: function(id) {
+                const entry = {
+                    distro: 'TestDistro',
+                    label: 'TestDistro Release Key',
+                    fingerprint: '9591F6C004F01D8D48C1CDC02672E6587FB0A5A2',
+                    keyID: '2672e6587fb0a5a2',
+                    subkeys: [],
+                    armoredKey: armoredKey
+                };
+                const normalized = id.toLowerCase();
+                if (normalized === entry.fingerprint.toLowerCase()) return [{ matchedBy: 'fingerprint', ...entry }];
+                if (normalized === entry.keyID) return [{ matchedBy: 'key-id', ...entry }];
+                return [];
             }
         };
     }, testKeyArmored);
@@ -512,6 +1012,11 @@ async function testKnownKeyBanner(page, url) {
     const bannerText = await banner.textContent();
     await assert(bannerText.includes('TestDistro Release Key'), 'Banner shows the key label');
     await assert(bannerText.includes('9591F6C004'), 'Banner shows partial fingerprint');
+    await assert(
+        await banner.locator('.fingerprint-formats').count() === 1,
+        'Banner offers word list, randomart and QR renderings of the fingerprint'
+    );
+    await assert(await banner.locator('.known-key-banner-warning').count() === 0, 'Issuer fingerprint match shows no short-ID warning');
 
     // Click "Use this key" — should load the key, collapse sections, and verify
     await page.locator('#known-key-accept').click();
@@ -531,7 +1036,7 @@ async function testKnownKeyBanner(page, url) {
 
     // Empty KnownKeys database — no matches
     await page.evaluate(() => {
-        window.KnownKeys = { lookup: function() { return null; } };
+        window.KnownKeys = { lookup: function() { return []; } };
     });
 
     await page.locator('#signed-file').setInputFiles(signedFilePath);
@@ -545,15 +1050,15 @@ async function testKnownKeyBanner(page, url) {
 
     await page.evaluate((armoredKey) => {
         window.KnownKeys = {
-            lookup: function(keyID) {
-                if (keyID === '2672e6587fb0a5a2') {
-                    return {
-                        distro: 'TestDistro', label: 'TestDistro Release Key',
+            lookup: function(id) {
+                if (id.toLowerCase() === '9591f6c004f01d8d48c1cdc02672e6587fb0a5a2') {
+                    return [{
+                        matchedBy: 'fingerprint', distro: 'TestDistro', label: 'TestDistro Release Key',
                         fingerprint: '9591F6C004F01D8D48C1CDC02672E6587FB0A5A2',
                         armoredKey: armoredKey
-                    };
+                    }];
                 }
-                return null;
+                return [];
             }
         };
     }, testKeyArmored);
@@ -569,6 +1074,185 @@ async function testKnownKeyBanner(page, url) {
     const keyTextValue = await page.locator('#key-text').inputValue();
     const keyFileValue = await page.locator('#public-key').evaluate(el => el.value);
     await assert(!keyTextValue && !keyFileValue, 'Dismissing banner leaves public key section empty');
+
+    // --- Short key ID matching: fingerprints win, key-ID-only matches warn ---
+    await gotoApp(page, url);
+
+    const matching = await page.evaluate(() => {
+        const entry = (matchedBy, distro, fingerprint) => ({
+            matchedBy, distro, label: distro + ' Release Key', fingerprint, armoredKey: ''
+        });
+        window.KnownKeys = {
+            lookup: function(id) {
+                if (id === 'aaaaaaaaaaaaaaaa') {
+                    return [
+                        entry('key-id', 'First', 'AAAA0000AAAA0000AAAA0000AAAAAAAAAAAAAAAA'),
+                        entry('subkey-id', 'Second', 'BBBB0000BBBB0000BBBB0000BBBB0000BBBB0000')
+                    ];
+                }
+                if (id === 'CCCC0000CCCC0000CCCC0000AAAAAAAAAAAAAAAA') return [];
+                if (id === 'BBBB1111BBBB1111BBBB1111BBBB1111BBBB1111') {
+                    return [entry('subkey-fingerprint', 'Second', 'BBBB0000BBBB0000BBBB0000BBBB0000BBBB0000')];
+                }
+                return [];
+            }
+        };
+        const addon = window.KnownKeysAddon;
+        return {
+            shortOnly: addon.checkAndPrompt({ keyID: 'aaaaaaaaaaaaaaaa', fingerprint: null }),
+            fingerprintMismatch: addon.checkAndPrompt({ keyID: 'aaaaaaaaaaaaaaaa', fingerprint: 'CCCC0000CCCC0000CCCC0000AAAAAAAAAAAAAAAA' }),
+            subkeyFingerprint: addon.checkAndPrompt({ keyID: 'bbbb1111bbbb1111', fingerprint: 'BBBB1111BBBB1111BBBB1111BBBB1111BBBB1111' })
+        };
+    });
+
+    await assert(matching.shortOnly.shortIDOnly && matching.shortOnly.candidateCount === 2, 'Key-ID-only match is flagged and counts colliding candidates');
+    await assert(matching.fingerprintMismatch === null, 'Key ID hit is ignored when the issuer fingerprint matches no known key');
+    await assert(
+        matching.subkeyFingerprint && matching.subkeyFingerprint.distro === 'Second' && !matching.subkeyFingerprint.shortIDOnly,
+        'Issuer subkey fingerprint finds the primary key entry'
+    );
+
+    await page.evaluate((match) => window.KnownKeysAddon.showBanner(match, () => {}, () => {}), matching.shortOnly);
+    const shortIDWarning = await page.locator('#known-key-banner .known-key-banner-warning').textContent();
+    await assert(shortIDWarning.includes('Matched by key ID only') && shortIDWarning.includes('2 known keys share this ID'), 'Banner warns when a match rests only on a short key ID');
+    await assert(await page.locator('#known-key-accept').textContent() === 'Use this key', 'Current key is offered without a lifecycle warning');
+
+    // --- Lifecycle: expired, revoked and superseded keys are flagged ---
+    await page.evaluate(() => window.KnownKeysAddon.showBanner({
+        matchedBy: 'fingerprint', distro: 'Old', label: 'Old Release Key',
+        fingerprint: 'DDDD0000DDDD0000DDDD0000DDDD0000DDDD0000', expires: '2020-01-01T00:00:00.000Z', revoked: false,
+        supersededBy: 'EEEE0000EEEE0000EEEE0000EEEE0000EEEE0000', subkeys: []
+    }, () => {}, () => {}));
+    const staleText = await page.locator('#known-key-banner').textContent();
+    await assert(staleText.includes('Expired key') && staleText.includes('2020-01-01'), 'Banner warns when the matched key has expired');
+    await assert(staleText.includes('Superseded key') && staleText.includes('EEEE0000EEEE0000'), 'Banner names the key that superseded the match');
+    await assert(await page.locator('#known-key-accept').textContent() === 'Use this key anyway', 'Stale key is only offered as "Use this key anyway"');
+
+    await page.evaluate(() => window.KnownKeysAddon.showBanner({
+        matchedBy: 'subkey-id', matchedID: 'FFFF1111FFFF1111', distro: 'Sub', label: 'Sub Release Key',
+        fingerprint: 'FFFF0000FFFF0000FFFF0000FFFF0000FFFF0000', expires: null, revoked: false,
+        subkeys: [{ keyID: 'ffff1111ffff1111', fingerprint: 'FFFF1111FFFF1111FFFF1111FFFF1111FFFF1111', expires: null, revoked: true }]
+    }, () => {}, () => {}));
+    await assert((await page.locator('#known-key-banner').textContent()).includes('Revoked subkey'), 'Banner warns when the matched signing subkey is revoked');
+
+    // --- Where to confirm the fingerprint: official URL, notes and guidance ---
+    await page.evaluate(() => window.KnownKeysAddon.showBanner({
+        matchedBy: 'fingerprint', distro: 'Ref', label: 'Ref Release Key',
+        fingerprint: 'ABAB0000ABAB0000ABAB0000ABAB0000ABAB0000', expires: null, revoked: false, subkeys: [],
+        officialUrl: 'https://example.org/verify', notes: 'Verify at <b>example.org</b>',
+        guidance: 'Compare with the signed release announcement',
+        confirmedBy: ['https://example.org/release.asc', 'keys.openpgp.org']
+    }, () => {}, () => {}));
+    const reference = page.locator('#known-key-banner .known-key-banner-reference');
+    await assert(await reference.locator('a').getAttribute('href') === 'https://example.org/verify', 'Banner links to the official fingerprint page');
+    const referenceText = await reference.textContent();
+    await assert(referenceText.includes('Verify at <b>example.org</b>') && await reference.locator('b').count() === 0, 'Banner shows notes as escaped text');
+    await assert(referenceText.includes('Compare with the signed release announcement'), 'Banner shows verification guidance');
+    const sourcesText = await page.locator('#known-key-banner .known-key-banner-sources').textContent();
+    await assert(sourcesText.includes('confirmed by 2 independent sources') && sourcesText.includes('keys.openpgp.org'), 'Banner shows how many sources confirmed the key');
+
+    await page.evaluate(() => window.KnownKeysAddon.showBanner({
+        matchedBy: 'fingerprint', distro: 'Ref', label: 'Ref Release Key',
+        fingerprint: 'ABAB0000ABAB0000ABAB0000ABAB0000ABAB0000', subkeys: [], officialUrl: 'javascript:alert(1)'
+    }, () => {}, () => {}));
+    await assert(await page.locator('#known-key-banner a').count() === 0, 'Non-https official URLs are not linked');
+}
+
+async function testLocalKeyring(page, url) {
+    printSection('Local Keyring');
+
+    await gotoApp(page, url);
+    await assert(!(await page.locator('#keyring-body').isVisible()), 'Local keyring stays hidden until the user opts in');
+
+    await page.locator('#keyring-enabled').check();
+    await uploadPublicKey(page);
+
+    // Saving happens from the (now collapsed) public key section
+    await page.locator('#public-key-heading').click();
+    await page.locator('#keyring-petname').fill('Test <b>Release</b> Key');
+    await page.locator('#keyring-save-btn').click();
+    await page.locator('.keyring-item').first().waitFor({ state: 'visible', timeout: 3000 });
+
+    const listText = await page.locator('#keyring-list').textContent();
+    await assert(listText.includes('Test <b>Release</b> Key'), 'Saved key is listed under its petname');
+    await assert(await page.locator('#keyring-list b').count() === 0, 'Petnames are rendered as text, not HTML');
+    await assert(listText.includes('9591F6C004F01D8D48C1CDC02672E6587FB0A5A2'), 'Saved key shows its full fingerprint');
+
+    await page.locator('#keyring-search').fill('no such key');
+    await page.waitForFunction(() => document.querySelectorAll('.keyring-item').length === 0);
+    await page.locator('#keyring-search').fill('2672e658');
+    await page.locator('.keyring-item').first().waitFor({ state: 'visible', timeout: 3000 });
+    await assert(await page.locator('.keyring-item').count() === 1, 'Keyring search matches key IDs');
+
+    // A fresh page load selects the saved key when the issuer matches
+    await gotoApp(page, url);
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'SIGNATURE VALID');
+    const resultText = await page.locator('#result').textContent();
+    await assert(resultText.includes('SIGNATURE VALID'), 'Saved key is selected automatically for a matching signature');
+    const keySummary = await page.locator('[data-section="public-key"] .collapsed-summary').textContent();
+    await assert(keySummary.includes('Test <b>Release</b> Key'), 'Collapsed key summary names the saved key');
+    await assert(!(await page.locator('#known-key-banner').isVisible().catch(() => false)), 'No known key banner when a saved key matches');
+
+    // Rename and delete
+    await page.locator('#public-key-heading').click();
+    page.once('dialog', dialog => dialog.accept('Renamed Key'));
+    await page.locator('.keyring-item [data-action="rename"]').click();
+    await page.waitForFunction(() => document.getElementById('keyring-list').textContent.includes('Renamed Key'));
+    await assert(!(await page.locator('#keyring-list').textContent()).includes('Release'), 'Saved keys can be renamed');
+
+    page.once('dialog', dialog => dialog.accept());
+    await page.locator('.keyring-item [data-action="delete"]').click();
+    await page.locator('.keyring-empty').waitFor({ state: 'visible', timeout: 3000 });
+    await assert(await page.locator('.keyring-item').count() === 0, 'Saved keys can be deleted');
+
+    await page.locator('#keyring-enabled').uncheck();
+}
+
+async function testTofuKeyChange(page, url) {
+    printSection('Trust On First Use');
+
+    await gotoApp(page, url);
+    await page.locator('#tofu-enabled').check();
+    await uploadPublicKey(page);
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'SIGNATURE VALID');
+
+    let history = await page.locator('.tofu-history').textContent();
+    await assert(history.includes('test@example.com') && history.includes('First signature recorded for this signer'), 'First valid signature starts the signer history');
+
+    // Same signer and key again: history shows first/last seen and count
+    await gotoApp(page, url);
+    await uploadPublicKey(page);
+    await page.locator('#signed-file').setInputFiles(fixture('message.txt.asc'));
+    await waitForResult(page, 'SIGNATURE VALID');
+    history = await page.locator('.tofu-history').textContent();
+    await assert(history.includes('First seen') && history.includes('2 signatures with this key'), 'Repeat signatures show first seen, last seen and count');
+    await assert(!(await page.locator('#result .result-title').textContent()).includes('KEY CHANGED'), 'Same key for a known signer does not warn');
+
+    // Same identity, different key
+    await gotoApp(page, url);
+    await page.locator('#public-key').setInputFiles(fixture('other-signer-key.asc'));
+    await page.locator('#signed-file').setInputFiles(fixture('other-signer.txt.asc'));
+    await waitForResult(page, 'SIGNER KEY CHANGED');
+    await assert(await page.locator('#result.warning').count() === 1, 'Key change for a known signer is shown as a warning');
+    await assert(
+        (await page.locator('.tofu-conflict').textContent()).includes('9591 F6C0 04F0 1D8D 48C1'),
+        'Key change warning names the previously seen fingerprint'
+    );
+    await assert((await page.locator('#app-status-badge').textContent()).includes('Signer Key Changed'), 'Status badge reports the key change');
+
+    // Accepting the change clears the warning for the new key
+    await page.locator('.tofu-accept-btn').click();
+    await page.waitForFunction(() => {
+        const title = document.querySelector('#result .result-title');
+        return title && !title.textContent.includes('KEY CHANGED');
+    });
+    await assert(await page.locator('.tofu-conflict').count() === 0, 'Accepted key change no longer warns');
+
+    await page.evaluate(() => window.TofuTracker.clearHistory());
+    await page.locator('#public-key-heading').click();
+    await page.locator('#tofu-enabled').uncheck();
 }
 
 async function testResetAndResponsiveLayout(page, url) {
@@ -616,13 +1300,28 @@ async function runTests() {
         await testKeyboardAccessibility(page, url);
         await testClearsignedVerification(page, url);
         await testDetachedVerification(page, url);
+        await testMultiSignatureReport(page, url);
+        await testKeyValidityVerdicts(page, url);
+        await testSubkeySignature(page, url);
+        await testAlgorithmAudit(page, url);
+        await testPolicyProfiles(page, url);
+        await testExpectedFingerprintPin(page, url);
+        await testFingerprintFormats(page, url);
+        await testWebOfTrust(page, url);
         await testChecksumVerification(page, url);
+        await testChecksumAlgorithms(page, url);
+        await testChecksumMultipleDigests(page, url);
+        await testChecksumReservedNames(page, url);
+        await testChecksumSinglePass(page, url);
+        await testChecksumPaths(page, url);
         await testChecksumEscaping(page, url);
         await testInvalidInputRouting(page, url);
         await testInvalidInputsAndSignatureRejection(page, url);
         await testPasteKeyViaTextarea(page, url);
         await testStopButtonPreservesInputs(page, url);
         await testKnownKeyBanner(page, url);
+        await testLocalKeyring(page, url);
+        await testTofuKeyChange(page, url);
         await testResetAndResponsiveLayout(page, url);
 
         const expectedErrorFragments = [
@@ -46,11 +46,21 @@ async function runTests() {
     console.log(colors.blue + '▶ writeOutput' + colors.reset);
 
     const sampleDb = {
-        'abcdef1234567890': {
+        'ABCDEF1234567890ABCDEF1234567890ABCDEF12': {
             distro: 'TestDistro',
             label: 'TestDistro Release Key',
             fingerprint: 'ABCDEF1234567890ABCDEF1234567890ABCDEF12',
+            keyID: '34567890abcdef12',
+            subkeys: [{ keyID: '0123456789abcdef', fingerprint: '9999888877776666555544443333222201234567' }],
             armoredKey: '-----BEGIN PGP PUBLIC KEY BLOCK-----\nfakekey\n-----END PGP PUBLIC KEY BLOCK-----'
+        },
+        'FEDCBA0987654321FEDCBA0987654321FEDCBA09': {
+            distro: 'OtherDistro',
+            label: 'OtherDistro Release Key',
+            fingerprint: 'FEDCBA0987654321FEDCBA0987654321FEDCBA09',
+            keyID: '0123456789abcdef',
+            subkeys: [],
+            armoredKey: '-----BEGIN PGP PUBLIC KEY BLOCK-----\nfakekey2\n-----END PGP PUBLIC KEY BLOCK-----'
         }
     };
 
@@ -58,9 +68,9 @@ async function runTests() {
 
     assert(output.includes('window.KnownKeys'), 'writeOutput assigns window.KnownKeys');
     assert(output.includes('Auto-generated'), 'writeOutput includes auto-generated comment');
-    assert(output.includes('Keys: 1'), 'writeOutput includes key count');
+    assert(output.includes('Keys: 2'), 'writeOutput includes key count');
     assert(output.includes('2026-05-21T00:00:00Z'), 'writeOutput includes timestamp');
-    assert(output.includes('abcdef1234567890'), 'writeOutput includes key ID');
+    assert(output.includes('34567890abcdef12'), 'writeOutput includes key ID');
     assert(output.includes('TestDistro'), 'writeOutput includes distro name');
     assert(output.includes('lookup'), 'writeOutput includes lookup function');
 
@@ -71,20 +81,106 @@ async function runTests() {
         fn(sandbox);
         assert(typeof sandbox.KnownKeys === 'object', 'writeOutput produces valid JS that sets window.KnownKeys');
         assert(typeof sandbox.KnownKeys.lookup === 'function', 'KnownKeys.lookup is a function');
-        const found = sandbox.KnownKeys.lookup('ABCDEF1234567890');
-        assert(found === null, 'lookup is case-insensitive (uppercase miss returns null — must lowercase)');
-        const foundLower = sandbox.KnownKeys.lookup('abcdef1234567890');
-        assert(foundLower !== null, 'lookup finds key by lowercase ID');
-        assert(foundLower.distro === 'TestDistro', 'lookup returns full entry');
+        const byKeyID = sandbox.KnownKeys.lookup('34567890abcdef12');
+        assert(Array.isArray(byKeyID) && byKeyID.length === 1, 'lookup returns an array of matches');
+        assert(byKeyID[0].distro === 'TestDistro', 'lookup returns full entry');
+        assert(byKeyID[0].matchedBy === 'key-id', 'lookup reports a primary key ID match');
+        assert(sandbox.KnownKeys.lookup('34567890ABCDEF12').length === 1, 'lookup is case-insensitive');
+
+        const byFingerprint = sandbox.KnownKeys.lookup('abcd ef12 3456 7890 ABCD  EF12 3456 7890 ABCD EF12');
+        assert(byFingerprint.length === 1 && byFingerprint[0].matchedBy === 'fingerprint', 'lookup finds key by full fingerprint, ignoring spacing');
+
+        const bySubkeyFingerprint = sandbox.KnownKeys.lookup('9999888877776666555544443333222201234567');
+        assert(bySubkeyFingerprint.length === 1 && bySubkeyFingerprint[0].matchedBy === 'subkey-fingerprint', 'lookup finds key by subkey fingerprint');
+        assert(bySubkeyFingerprint[0].fingerprint === 'ABCDEF1234567890ABCDEF1234567890ABCDEF12', 'subkey match returns the primary key entry');
+
+        // 0123456789abcdef is TestDistro's subkey ID and OtherDistro's primary key ID
+        const colliding = sandbox.KnownKeys.lookup('0x0123456789ABCDEF');
+        assert(colliding.length === 2, 'lookup returns every entry sharing a key ID');
+        assert(
+            colliding.some(m => m.distro === 'TestDistro' && m.matchedBy === 'subkey-id') &&
+            colliding.some(m => m.distro === 'OtherDistro' && m.matchedBy === 'key-id'),
+            'colliding matches report how each one matched'
+        );
+        assert(sandbox.KnownKeys.lookup('ffffffffffffffff').length === 0, 'lookup returns an empty array when nothing matches');
     } catch (e) {
         assert(false, 'writeOutput JS is executable', e.message);
     }
 
+    // --- validateSources tests (no network needed) ---
+    console.log('\n' + colors.blue + '▶ validateSources' + colors.reset);
+
+    const { validateSources } = mod;
+    const validSource = {
+        distro: 'Valid', label: 'Valid Release Key',
+        sources: [{ strategy: 'url', url: 'https://example.com/key.asc' }, { strategy: 'keyserver', keyserver: 'keys.openpgp.org' }],
+        fingerprint: '9591 F6C0 04F0 1D8D 48C1  CDC0 2672 E658 7FB0 A5A2'
+    };
+    const sourcesErrors = validateSources(JSON.parse(fs.readFileSync(path.join(__dirname, '../scripts/key-sources.json'), 'utf8')));
+    assert(sourcesErrors.length === 0, 'validateSources: scripts/key-sources.json is valid', sourcesErrors.join('\n'));
+    assert(validateSources([validSource, { ...validSource, fingerprint: 'A'.repeat(64) }]).length === 0, 'validateSources: v4 and v6 fingerprints accepted');
+    assert(validateSources({})[0] === 'key-sources.json must contain an array of sources', 'validateSources: top level must be an array');
+
+    const invalidErrors = validateSources([
+        validSource,
+        { distro: 'Typo', label: 'Typo Key', strategy: 'keyserver', fingerprint: '9591F6C004F01D8D48C1CDC02672E6587FB0A5A' },
+        { distro: 'NoLabel', strategy: 'url', url: 'http://example.com/key.asc', fingerprint: 'B'.repeat(40) },
+        { distro: 'Strategy', label: 'Bad Strategy', strategy: 'ftp', fingerprint: 'C'.repeat(40) },
+        { distro: 'Extra', label: 'Extra Field', strategy: 'wkd', email: 'release@example.org', url: 'https://example.org/key.asc', fingerprint: 'D'.repeat(40), fingerprnt: 'x' },
+        { ...validSource, distro: 'Duplicate' },
+        { ...validSource, fingerprint: 'E'.repeat(40), officialUrl: 'http://example.com/verify', guidance: '' },
+        { distro: 'OneSource', label: 'One Source', fingerprint: 'F'.repeat(40), sources: [{ strategy: 'url', url: 'https://example.com/key.asc' }] },
+        {
+            distro: 'Multi', label: 'Multi Source', fingerprint: '1'.repeat(40), strategy: 'url',
+            sources: [
+                { strategy: 'url', url: 'https://example.com/key.asc' },
+                { strategy: 'url', url: 'https://example.com/key.asc' },
+                { strategy: 'wkd', keyserver: 'keys.openpgp.org' }
+            ]
+        },
+        { distro: 'Single', label: 'Single Source', strategy: 'keyserver', keyservers: ['keys.openpgp.org', 'hkps://keyserver.ubuntu.com'], fingerprint: '3'.repeat(40) },
+        { ...validSource, fingerprint: '4'.repeat(40), minSources: 1 },
+        { ...validSource, fingerprint: '5'.repeat(40), minSources: 3 }
+    ]);
+    const errorFor = (index, pattern) => invalidErrors.some(error => error.startsWith(`sources[${index}]`) && pattern.test(error));
+    assert(!invalidErrors.some(error => error.startsWith('sources[0]')), 'validateSources: valid entry has no errors', invalidErrors.join('\n'));
+    assert(errorFor(1, /"fingerprint" must be 40 \(v4\) or 64 \(v6\) hex/), 'validateSources: fingerprint typo reported with its index');
+    assert(errorFor(2, /missing required field "label"/), 'validateSources: missing label reported');
+    assert(errorFor(2, /"url" must be an https:\/\/ URL/), 'validateSources: plain http URL rejected');
+    assert(errorFor(3, /"strategy" must be one of url, keyserver, wkd/), 'validateSources: unknown strategy reported before fetching');
+    assert(errorFor(4, /unknown field "url" for strategy "wkd"/) && errorFor(4, /unknown field "fingerprnt"/), 'validateSources: unknown fields reported');
+    assert(errorFor(5, /duplicate fingerprint 9591F6C004F01D8D48C1CDC02672E6587FB0A5A2, already used by sources\[0\]/), 'validateSources: duplicate fingerprints reported');
+    assert(errorFor(6, /"officialUrl" must be an https:\/\/ URL/) && errorFor(6, /"guidance" must be a non-empty string/), 'validateSources: officialUrl and guidance checked');
+    assert(errorFor(7, /"sources" must list at least 2 sources/), 'validateSources: multi-source entries need two or more sources');
+    assert(errorFor(8, /unknown field "strategy"/), 'validateSources: multi-source entries have no top-level strategy');
+    assert(invalidErrors.some(error => error.startsWith('sources[8].sources[1] (Multi): repeats sources[8].sources[0]')), 'validateSources: repeated sources are not independent');
+    assert(invalidErrors.some(error => error.startsWith('sources[8].sources[2] (Multi): missing required field "email"')), 'validateSources: each source is checked against its strategy');
+    assert(errorFor(9, /single-source entries are not accepted/), 'validateSources: single-source entries rejected, even with several keyservers');
+    assert(errorFor(10, /"minSources" must be a whole number of at least 2/), 'validateSources: minSources below 2 rejected');
+    assert(errorFor(11, /"minSources" is 3 but only 2 sources are listed/), 'validateSources: minSources above the number of sources rejected');
+    assert(validateSources([{
+        distro: 'Agreed', label: 'Agreed Key', fingerprint: '2'.repeat(40),
+        sources: [{ strategy: 'url', url: 'https://example.com/key.asc' }, { strategy: 'keyserver', keyserver: 'keys.openpgp.org' }]
+    }]).length === 0, 'validateSources: valid multi-source entry accepted');
+    assert(invalidErrors[0].startsWith('sources[1] (Typo): '), 'validateSources: errors name the entry', invalidErrors[0]);
+
     // --- buildDb tests (mocked fetch) ---
     console.log('\n' + colors.blue + '▶ buildDb with mocked fetch' + colors.reset);
 
     // Read real test key for a realistic mock response
     const testKeyArmored = fs.readFileSync(path.join(__dirname, 'test-data/public-key.asc'), 'utf8');
+    const testKeyFingerprint = '9591F6C004F01D8D48C1CDC02672E6587FB0A5A2';
+    const otherKeyArmored = fs.readFileSync(path.join(__dirname, 'test-data/other-signer-key.asc'), 'utf8');
+    const otherKeyFingerprint = '7C1081D235090B0AF38A923C2F4734D9E551AE58';
+    const updatedOtherKeyArmored = fs.readFileSync(path.join(__dirname, 'test-data/other-signer-key-updated.asc'), 'utf8');
+
+    const respondWith = (armored) => async () => ({
+        ok: true,
+        arrayBuffer: async () => {
+            const b = Buffer.from(armored);
+            return b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+        }
+    });
 
     // Mock global fetch
     const originalFetch = globalThis.fetch;
@@ -102,7 +198,8 @@ async function runTests() {
 
     const urlSources = [{
         distro: 'MockDistro', label: 'Mock Release Key',
-        strategy: 'url', url: 'https://example.com/key.asc'
+        strategy: 'url', url: 'https://example.com/key.asc',
+        fingerprint: testKeyFingerprint
     }];
 
     try {
@@ -113,6 +210,9 @@ async function runTests() {
         assert(typeof entry.armoredKey === 'string', 'url strategy: entry has armoredKey');
         assert(entry.armoredKey.includes('BEGIN PGP'), 'url strategy: armoredKey is PGP armored');
         assert(typeof entry.fingerprint === 'string' && entry.fingerprint.length === 40, 'url strategy: entry has 40-char fingerprint');
+        assert(Object.keys(db)[0] === entry.fingerprint, 'url strategy: db is keyed by primary fingerprint');
+        assert(entry.keyID === '2672e6587fb0a5a2', 'url strategy: entry records the primary key ID');
+        assert(Array.isArray(entry.subkeys), 'url strategy: entry lists subkeys');
         assert(summary.filter(s => !s.error).length === 1, 'url strategy: summary has one success');
     } catch (e) {
         assert(false, 'url strategy: buildDb succeeds', e.message);
@@ -121,7 +221,7 @@ async function runTests() {
     // Test: keyserver strategy success
     globalThis.fetch = async (url) => {
         assert(url.includes('keys.openpgp.org'), 'keyserver strategy: queries keys.openpgp.org');
-        assert(url.includes('TESTFINGERPRINT123'), 'keyserver strategy: includes fingerprint in URL');
+        assert(url.includes(testKeyFingerprint), 'keyserver strategy: includes fingerprint in URL');
         return {
             ok: true,
             arrayBuffer: async () => {
@@ -134,7 +234,7 @@ async function runTests() {
     const keyserverSources = [{
         distro: 'MockKS', label: 'Mock KS Key',
         strategy: 'keyserver', keyserver: 'keys.openpgp.org',
-        fingerprint: 'TEST FINGERPRINT 123'
+        fingerprint: '9591 F6C0 04F0 1D8D 48C1  CDC0 2672 E658 7FB0 A5A2'
     }];
 
     try {
@@ -144,12 +244,60 @@ async function runTests() {
         assert(false, 'keyserver strategy: buildDb succeeds', e.message);
     }
 
+    // --- Declared fingerprint checks ---
+    console.log('\n' + colors.blue + '▶ buildDb fingerprint checks' + colors.reset);
+
+    // Test: response holds a different key than declared
+    globalThis.fetch = respondWith(otherKeyArmored);
+    try {
+        const { db, summary } = await buildDb(urlSources);
+        assert(Object.keys(db).length === 0, 'fingerprint mismatch: key is not written');
+        assert(summary.length === 1 && /Fingerprint mismatch/.test(summary[0].error), 'fingerprint mismatch: error recorded in summary', summary[0] && summary[0].error);
+        assert(summary[0].error.includes(testKeyFingerprint), 'fingerprint mismatch: error names the expected fingerprint');
+    } catch (e) {
+        assert(false, 'fingerprint mismatch: buildDb handles gracefully', e.message);
+    }
+
+    // Test: url source without a declared fingerprint is refused before fetching
+    let fetched = false;
+    globalThis.fetch = async () => {
+        fetched = true;
+        return respondWith(testKeyArmored)();
+    };
+    try {
+        const { db, summary } = await buildDb([{
+            distro: 'NoFpr', label: 'Undeclared', strategy: 'url', url: 'https://example.com/key.asc'
+        }]);
+        assert(Object.keys(db).length === 0, 'missing fingerprint: url source is skipped');
+        assert(/No fingerprint declared/.test(summary[0].error), 'missing fingerprint: error recorded in summary');
+        assert(!fetched, 'missing fingerprint: nothing is downloaded');
+    } catch (e) {
+        assert(false, 'missing fingerprint: buildDb handles gracefully', e.message);
+    }
+
+    // Test: extra keys in a response are dropped
+    // A keyring response: both keys as one binary packet stream
+    const { readKey } = await import('openpgp');
+    const bundle = Buffer.concat([
+        Buffer.from((await readKey({ armoredKey: otherKeyArmored })).write()),
+        Buffer.from((await readKey({ armoredKey: testKeyArmored })).write())
+    ]);
+    globalThis.fetch = respondWith(bundle);
+    try {
+        const { db, summary } = await buildDb(urlSources);
+        assert(Object.keys(db).length === 1 && db[testKeyFingerprint], 'extra keys: only the declared key is written');
+        const dropped = summary.filter(s => s.error && s.error.includes('Dropped unexpected key'));
+        assert(dropped.length === 1 && dropped[0].error.includes('7C1081D235090B0AF38A923C2F4734D9E551AE58'), 'extra keys: dropped key is reported in the summary');
+    } catch (e) {
+        assert(false, 'extra keys: buildDb handles gracefully', e.message);
+    }
+
     // Test: fetch failure is skipped, exits non-zero via summary
     globalThis.fetch = async () => ({ ok: false, status: 404 });
 
     const failSources = [
-        { distro: 'Good', label: 'OK', strategy: 'url', url: 'https://example.com/ok.asc' },
-        { distro: 'Bad', label: 'Missing', strategy: 'url', url: 'https://example.com/missing.asc' }
+        { distro: 'Good', label: 'OK', strategy: 'url', url: 'https://example.com/ok.asc', fingerprint: testKeyFingerprint },
+        { distro: 'Bad', label: 'Missing', strategy: 'url', url: 'https://example.com/missing.asc', fingerprint: testKeyFingerprint }
     ];
 
     // Both will fail with mocked 404
@@ -164,7 +312,8 @@ async function runTests() {
     // Test: unknown strategy is treated as failure
     const unknownStrategySources = [{
         distro: 'Bad', label: 'Bad Strategy',
-        strategy: 'ftp', url: 'ftp://example.com/key.asc'
+        strategy: 'ftp', url: 'ftp://example.com/key.asc',
+        fingerprint: testKeyFingerprint
     }];
 
     globalThis.fetch = originalFetch; // restore
@@ -177,6 +326,494 @@ async function runTests() {
         assert(false, 'unknown strategy: buildDb handles gracefully', e.message);
     }
 
+    // --- WKD and keyserver strategies (local HTTP stand-in) ---
+    console.log('\n' + colors.blue + '▶ WKD strategy' + colors.reset);
+
+    const { wkdUrls } = mod;
+    const http = require('http');
+
+    // Test: URLs from the WKD specification example
+    const [advancedUrl, directUrl] = wkdUrls('Joe.Doe@Example.ORG');
+    assert(advancedUrl === 'https://openpgpkey.example.org/.well-known/openpgpkey/example.org/hu/iy9q119eutrkn8s1mk4r39qejnbu3n5q?l=Joe.Doe', 'wkdUrls: advanced method URL', advancedUrl);
+    assert(directUrl === 'https://example.org/.well-known/openpgpkey/hu/iy9q119eutrkn8s1mk4r39qejnbu3n5q?l=Joe.Doe', 'wkdUrls: direct method URL', directUrl);
+
+    // The stand-in serves "host/path" entries; fetch is rerouted to it so the
+    // real https:// URLs built by fetch-keys.js are what gets requested
+    const routes = new Map();
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const route = req.url.slice(1).split('?')[0];
+        requests.push(req.url.slice(1));
+        if (routes.has(route)) {
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            res.end(routes.get(route));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    globalThis.fetch = (url, options) => {
+        const target = new URL(url);
+        return originalFetch(`http://127.0.0.1:${port}/${target.host}${target.pathname}${target.search}`, options);
+    };
+
+    const { readKeys } = await import('openpgp');
+    const wotKeys = await readKeys({ armoredKeys: fs.readFileSync(path.join(__dirname, 'test-data/wot-keys.asc'), 'utf8') });
+    const wotBundle = Buffer.concat(wotKeys.map(k => Buffer.from(k.write())));
+    const [testAdvancedUrl, testDirectUrl] = wkdUrls('test@example.com').map(url => new URL(url));
+    const wkdSources = [{ distro: 'WKD', label: 'WKD Key', strategy: 'wkd', email: 'test@example.com', fingerprint: testKeyFingerprint }];
+
+    try {
+        // Test: advanced method, response filtered to keys with a matching UID
+        routes.set(testAdvancedUrl.host + testAdvancedUrl.pathname, wotBundle);
+        const { db, summary } = await buildDb(wkdSources);
+        assert(Object.keys(db).length === 1 && db[testKeyFingerprint], 'wkd advanced: declared key is written');
+        assert(summary.every(s => !s.error), 'wkd advanced: keys for other addresses are filtered out, not reported', JSON.stringify(summary));
+        assert(requests[0] === `openpgpkey.example.com/.well-known/openpgpkey/example.com/hu/${testAdvancedUrl.pathname.split('/').pop()}?l=test`, 'wkd advanced: requests the hashed local part', requests[0]);
+
+        // Test: falls back to the direct method
+        routes.clear();
+        requests.length = 0;
+        routes.set(testDirectUrl.host + testDirectUrl.pathname, wotBundle);
+        const direct = await buildDb(wkdSources);
+        assert(direct.db[testKeyFingerprint], 'wkd direct: key found when the advanced method fails');
+        assert(requests.length === 2 && requests[1].startsWith('example.com/.well-known/openpgpkey/hu/'), 'wkd direct: tried after the advanced method', JSON.stringify(requests));
+
+        // Test: no key carries the requested address
+        routes.set(testDirectUrl.host + testDirectUrl.pathname, Buffer.from(wotKeys[0].write()));
+        const noMatch = await buildDb(wkdSources);
+        assert(Object.keys(noMatch.db).length === 0 && /No key with a user ID for test@example.com/.test(noMatch.summary[0].error), 'wkd: response without a matching UID is rejected', noMatch.summary[0].error);
+
+        // Test: both methods fail
+        routes.clear();
+        const missing = await buildDb(wkdSources);
+        assert(/WKD lookup failed/.test(missing.summary[0].error) && missing.summary[0].error.includes('HTTP 404'), 'wkd: lookup failure recorded in summary', missing.summary[0].error);
+    } catch (e) {
+        assert(false, 'wkd: buildDb handles WKD sources', e.message);
+    }
+
+    // --- Keyserver protocols and fallback ---
+    console.log('\n' + colors.blue + '▶ keyserver fallback and merge' + colors.reset);
+
+    const { keyserverUrl } = mod;
+    assert(keyserverUrl('keys.openpgp.org', otherKeyFingerprint) === `https://keys.openpgp.org/vks/v1/by-fingerprint/${otherKeyFingerprint}`, 'keyserverUrl: bare hostname uses VKS');
+    assert(keyserverUrl('hkps://keyserver.ubuntu.com', otherKeyFingerprint) === `https://keyserver.ubuntu.com/pks/lookup?op=get&options=mr&search=0x${otherKeyFingerprint}`, 'keyserverUrl: hkps:// uses HKP over HTTPS');
+    assert(keyserverUrl('hkp://pool.example.net', otherKeyFingerprint) === `http://pool.example.net:11371/pks/lookup?op=get&options=mr&search=0x${otherKeyFingerprint}`, 'keyserverUrl: hkp:// uses port 11371');
+
+    const vksRoute = `keys.openpgp.org/vks/v1/by-fingerprint/${otherKeyFingerprint}`;
+    const hkpRoute = 'keyserver.ubuntu.com/pks/lookup';
+    const fallbackSources = [{
+        distro: 'Fallback', label: 'Fallback Key', strategy: 'keyserver',
+        keyservers: ['keys.openpgp.org', 'hkps://keyserver.ubuntu.com'],
+        fingerprint: otherKeyFingerprint
+    }];
+
+    try {
+        // Test: first keyserver is missing the key, the next one has it
+        routes.clear();
+        routes.set(hkpRoute, otherKeyArmored);
+        const fallback = await buildDb(fallbackSources);
+        assert(fallback.db[otherKeyFingerprint], 'keyserver fallback: key taken from the next server');
+        assert(fallback.summary.every(s => !s.error), 'keyserver fallback: a missing copy is not an error', JSON.stringify(fallback.summary));
+
+        // Test: differing copies are merged
+        routes.set(vksRoute, otherKeyArmored);
+        routes.set(hkpRoute, updatedOtherKeyArmored);
+        const merged = await buildDb(fallbackSources);
+        const mergedEntry = merged.db[otherKeyFingerprint];
+        assert(mergedEntry && mergedEntry.subkeys.length === 1, 'keyserver merge: subkey from the second server is kept', mergedEntry && JSON.stringify(mergedEntry.subkeys));
+        const mergedKey = await readKey({ armoredKey: mergedEntry.armoredKey });
+        assert(await mergedKey.isRevoked(), 'keyserver merge: revocation from the second server is kept');
+
+        // Test: a server answering with another key does not replace the declared one
+        routes.set(hkpRoute, testKeyArmored);
+        const wrongKey = await buildDb(fallbackSources);
+        assert(wrongKey.db[otherKeyFingerprint], 'keyserver wrong key: declared copy from the other server is written');
+        assert(wrongKey.summary.some(s => s.error && s.error.includes(`Dropped unexpected key ${testKeyFingerprint}`)), 'keyserver wrong key: reported in the summary');
+
+        // Test: every keyserver fails
+        routes.clear();
+        const none = await buildDb(fallbackSources);
+        assert(Object.keys(none.db).length === 0 && /No keyserver returned the key/.test(none.summary[0].error), 'keyserver fallback: failure when no server has the key', none.summary[0].error);
+        assert(none.summary[0].error.includes('keyserver.ubuntu.com'), 'keyserver fallback: failure names each server');
+    } catch (e) {
+        assert(false, 'keyserver fallback: buildDb handles keyserver lists', e.message);
+    } finally {
+        globalThis.fetch = originalFetch;
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    // --- Cross-source agreement ---
+    console.log('\n' + colors.blue + '▶ cross-source agreement' + colors.reset);
+
+    const agreementSource = (secondUrl) => [{
+        distro: 'Agreed', label: 'Agreed Key', fingerprint: testKeyFingerprint,
+        sources: [
+            { strategy: 'url', url: 'https://example.com/release.asc' },
+            { strategy: 'url', url: secondUrl },
+            { strategy: 'keyserver', keyserver: 'keys.openpgp.org' }
+        ]
+    }];
+    globalThis.fetch = async (url) => {
+        if (url.includes('missing')) return { ok: false, status: 404 };
+        return respondWith(url.includes('tampered') ? otherKeyArmored : testKeyArmored)();
+    };
+
+    try {
+        // Test: every source returns the declared key
+        const agreed = await buildDb(agreementSource('https://mirror.example.net/release.asc'));
+        const agreedEntry = agreed.db[testKeyFingerprint];
+        assert(agreedEntry && agreed.summary.every(s => !s.error), 'agreement: key accepted when all sources agree');
+        assert(
+            agreedEntry && agreedEntry.confirmedBy.join('|') === 'https://example.com/release.asc|https://mirror.example.net/release.asc|keys.openpgp.org',
+            'agreement: entry records the confirming sources', agreedEntry && JSON.stringify(agreedEntry.confirmedBy)
+        );
+
+        // Test: one source returns a different key
+        const tampered = await buildDb(agreementSource('https://tampered.example.net/release.asc'));
+        assert(Object.keys(tampered.db).length === 0, 'agreement: key rejected when one source disagrees');
+        assert(/Fingerprint mismatch from https:\/\/tampered\.example\.net\/release\.asc/.test(tampered.summary[0].error), 'agreement: error names the disagreeing source', tampered.summary[0].error);
+
+        // Test: one source cannot be fetched
+        const unreachable = await buildDb(agreementSource('https://missing.example.net/release.asc'));
+        assert(Object.keys(unreachable.db).length === 0 && /HTTP 404.*from https:\/\/missing\.example\.net/.test(unreachable.summary[0].error), 'agreement: key rejected when a source fails', unreachable.summary[0].error);
+
+        // Test: minSources tolerates an unreachable source while enough others agree
+        const tolerant = await buildDb([{ ...agreementSource('https://missing.example.net/release.asc')[0], minSources: 2 }]);
+        const tolerantEntry = tolerant.db[testKeyFingerprint];
+        assert(
+            tolerantEntry && tolerantEntry.confirmedBy.join('|') === 'https://example.com/release.asc|keys.openpgp.org',
+            'agreement: minSources keeps the key when enough sources still agree', tolerant.summary[0].error
+        );
+
+        // Test: single-strategy entries record their one source
+        const single = await buildDb([{ distro: 'Single', label: 'Single Key', strategy: 'keyserver', fingerprint: testKeyFingerprint }]);
+        assert(single.db[testKeyFingerprint].confirmedBy.join() === 'keys.openpgp.org', 'agreement: single source recorded');
+    } catch (e) {
+        assert(false, 'agreement: buildDb handles multi-source entries', e.message);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+
+    // --- Networking: retries, timeouts, cache and offline mode ---
+    console.log('\n' + colors.blue + '▶ networking' + colors.reset);
+
+    const { fetchUrl, createCache } = mod;
+    const os = require('os');
+    let handler = null;
+    let hits = [];
+    const netServer = http.createServer((req, res) => {
+        hits.push(req);
+        handler(req, res);
+    });
+    await new Promise(resolve => netServer.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${netServer.address().port}`;
+    const fast = { retryDelayMs: 1, timeoutMs: 500 };
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-keys-cache-'));
+
+    try {
+        // Test: 5xx responses are retried
+        let calls = 0;
+        handler = (req, res) => {
+            calls++;
+            res.writeHead(calls < 3 ? 503 : 200);
+            res.end(calls < 3 ? '' : 'ok');
+        };
+        const body = await fetchUrl(`${base}/flaky`, fast);
+        assert(body.toString() === 'ok' && calls === 3, 'fetchUrl: retries 5xx responses with backoff');
+
+        // Test: 429 gives up after the retry limit
+        calls = 0;
+        handler = (req, res) => {
+            calls++;
+            res.writeHead(429);
+            res.end();
+        };
+        const limited = await fetchUrl(`${base}/limited`, { ...fast, retries: 2 }).catch(e => e);
+        assert(/HTTP 429/.test(limited.message) && calls === 3, 'fetchUrl: gives up on 429 after the retry limit', limited.message);
+
+        // Test: a Retry-After above the limit fails instead of sleeping
+        calls = 0;
+        handler = (req, res) => {
+            calls++;
+            res.writeHead(429, { 'Retry-After': '86400' });
+            res.end();
+        };
+        const started = Date.now();
+        const throttled = await fetchUrl(`${base}/throttled`, { ...fast, maxRetryDelayMs: 1000 }).catch(e => e);
+        assert(
+            /HTTP 429.*Retry-After of 86400 s exceeds the 1 s limit/.test(throttled.message) && calls === 1 && Date.now() - started < 1000,
+            'fetchUrl: large Retry-After fails the attempt', throttled.message
+        );
+
+        // Test: 404 is not retried
+        calls = 0;
+        handler = (req, res) => {
+            calls++;
+            res.writeHead(404);
+            res.end();
+        };
+        const notFound = await fetchUrl(`${base}/missing`, fast).catch(e => e);
+        assert(/HTTP 404/.test(notFound.message) && calls === 1, 'fetchUrl: 404 is not retried');
+
+        // Test: per-request timeout
+        handler = () => {};
+        const slow = await fetchUrl(`${base}/slow`, { timeoutMs: 50, retries: 0 }).catch(e => e);
+        assert(/Timed out after 50 ms/.test(slow.message), 'fetchUrl: slow responses time out', slow.message);
+        netServer.closeAllConnections();
+
+        // Test: ETag/Last-Modified revalidation against the on-disk cache
+        const cache = createCache(cacheDir);
+        const lastModified = 'Wed, 21 Oct 2026 07:28:00 GMT';
+        handler = (req, res) => {
+            if (req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304);
+                res.end();
+            } else {
+                res.writeHead(200, { 'ETag': '"v1"', 'Last-Modified': lastModified });
+                res.end(testKeyArmored);
+            }
+        };
+        const first = await fetchUrl(`${base}/key.asc`, { ...fast, cache });
+        hits = [];
+        const revalidated = await fetchUrl(`${base}/key.asc`, { ...fast, cache });
+        assert(hits[0].headers['if-none-match'] === '"v1"' && hits[0].headers['if-modified-since'] === lastModified, 'cache: sends ETag and Last-Modified validators');
+        assert(revalidated.equals(first), 'cache: 304 response is served from the cache');
+
+        // Test: --offline rebuilds from the cache alone
+        globalThis.fetch = async () => {
+            throw new Error('network used in offline mode');
+        };
+        const offlineSource = { distro: 'Offline', label: 'Offline Key', strategy: 'url', url: `${base}/key.asc`, fingerprint: testKeyFingerprint };
+        const offline = await buildDb([offlineSource], { cache, offline: true });
+        assert(offline.db[testKeyFingerprint] && offline.summary.every(s => !s.error), 'offline: rebuilds known keys from the cache without a network', JSON.stringify(offline.summary));
+        const uncached = await buildDb([{ ...offlineSource, url: `${base}/uncached.asc` }], { cache, offline: true });
+        assert(/Not in cache \(offline\)/.test(uncached.summary[0].error), 'offline: uncached sources fail', uncached.summary[0].error);
+
+        // Test: bounded concurrency, summary in source order
+        let inFlight = 0;
+        let maxInFlight = 0;
+        globalThis.fetch = async () => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            inFlight--;
+            return respondWith(testKeyArmored)();
+        };
+        const concurrentSources = Array.from({ length: 6 }, (_, i) => ({
+            distro: `C${i}`, label: 'Concurrent Key', strategy: 'url', url: `https://example.com/${i}.asc`, fingerprint: testKeyFingerprint
+        }));
+        const concurrent = await buildDb(concurrentSources, { concurrency: 2 });
+        assert(maxInFlight === 2, 'buildDb: at most `concurrency` sources are fetched at once', `max in flight: ${maxInFlight}`);
+        assert(concurrent.summary.map(s => s.distro).join(',') === 'C0,C1,C2,C3,C4,C5', 'buildDb: summary keeps source order');
+    } catch (e) {
+        assert(false, 'networking: fetchUrl and buildDb options', e.message);
+    } finally {
+        globalThis.fetch = originalFetch;
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+        netServer.closeAllConnections();
+        await new Promise(resolve => netServer.close(resolve));
+    }
+
+    // --- Key minimization and size budget ---
+    console.log('\n' + colors.blue + '▶ minimizeKey / checkSizeBudget' + colors.reset);
+
+    const { minimizeKey, checkSizeBudget } = mod;
+    const certifiedKeyArmored = fs.readFileSync(path.join(__dirname, 'test-data/certified-key.asc'), 'utf8');
+
+    try {
+        // certified-key.asc: three third-party certifications and two bindings for its subkey
+        const certifiedKey = await readKey({ armoredKey: certifiedKeyArmored });
+        const minimized = await minimizeKey(certifiedKey);
+        assert(certifiedKey.users[0].otherCertifications.length === 3, 'minimizeKey: fixture has third-party certifications');
+        assert(minimized.users[0].otherCertifications.length === 0, 'minimizeKey: third-party certifications stripped');
+        assert(minimized.users[0].selfCertifications.length === 1, 'minimizeKey: self-signature kept');
+        const bindingTimes = key => key.subkeys[0].bindingSignatures.map(b => b.created.getTime());
+        assert(
+            bindingTimes(minimized).join() === bindingTimes(certifiedKey).sort((a, b) => a - b).join(),
+            'minimizeKey: every subkey binding kept, oldest first', JSON.stringify(bindingTimes(minimized))
+        );
+        assert(minimized.armor().length < certifiedKeyArmored.length, 'minimizeKey: armored key is smaller');
+        await minimized.verifyPrimaryKey();
+        assert(true, 'minimizeKey: result is still a valid key');
+        assert(certifiedKey.users[0].otherCertifications.length === 3, 'minimizeKey: input key is not modified');
+
+        // Test: a signature made before the subkey was re-bound still verifies
+        const { generateKey, reformatKey, createMessage, sign, verify } = await import('openpgp');
+        const day = 86400 * 1000;
+        const rebindStart = Date.now() - 30 * day;
+        const { privateKey: rebindKey } = await generateKey({
+            userIDs: [{ name: 'Rebind', email: 'rebind@example.com' }], subkeys: [{ sign: true }], date: new Date(rebindStart), format: 'object'
+        });
+        const oldSignature = await sign({
+            message: await createMessage({ text: 'signed before the re-bind' }), signingKeys: rebindKey,
+            signingKeyIDs: rebindKey.subkeys[0].getKeyID(), date: new Date(rebindStart + day), detached: true, format: 'object'
+        });
+        const { publicKey: rebound } = await reformatKey({
+            privateKey: rebindKey, userIDs: [{ name: 'Rebind', email: 'rebind@example.com' }], date: new Date(rebindStart + 10 * day), format: 'object'
+        });
+        // Key.update() keeps only the newest binding, so append the new one directly
+        const rebindHistory = rebindKey.toPublic();
+        rebindHistory.subkeys[0].bindingSignatures.push(...rebound.subkeys[0].bindingSignatures);
+        const rebindMinimized = await minimizeKey(rebindHistory);
+        assert(rebindMinimized.subkeys[0].bindingSignatures.length === 2, 'minimizeKey: older binding of a re-bound subkey kept');
+        // Checked at signing time, as the app does when judging key validity
+        const { signatures: [rebindResult] } = await verify({
+            message: await createMessage({ text: 'signed before the re-bind' }), signature: oldSignature,
+            verificationKeys: rebindMinimized, date: new Date(rebindStart + day)
+        });
+        const oldSignatureValid = await rebindResult.verified.catch(e => e);
+        assert(oldSignatureValid === true, 'minimizeKey: signature made before the newest binding still verifies', oldSignatureValid && oldSignatureValid.message);
+
+        // Revocations survive minimization
+        const revoked = await minimizeKey(await readKey({ armoredKey: updatedOtherKeyArmored }));
+        assert(await revoked.isRevoked(), 'minimizeKey: key revocation kept');
+
+        // Test: buildDb writes the minimized key and reports the saving
+        globalThis.fetch = respondWith(certifiedKeyArmored);
+        const { db, summary } = await buildDb([{
+            distro: 'Certified', label: 'Certified Key', strategy: 'url', url: 'https://example.com/certified.asc',
+            fingerprint: certifiedKey.getFingerprint()
+        }]);
+        const written = await readKey({ armoredKey: db[certifiedKey.getFingerprint().toUpperCase()].armoredKey });
+        assert(written.users[0].otherCertifications.length === 0, 'buildDb: stores the minimized key');
+        assert(summary[0].savedBytes > 0 && summary[0].size === db[certifiedKey.getFingerprint().toUpperCase()].armoredKey.length, 'buildDb: reports size and bytes saved', JSON.stringify(summary[0]));
+    } catch (e) {
+        assert(false, 'minimizeKey: handles a certified key', e.message);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+
+    // Test: size budget
+    assert(checkSizeBudget('x'.repeat(1024), 1) === null, 'checkSizeBudget: content within budget passes');
+    const overBudget = checkSizeBudget('x'.repeat(1025), 1);
+    assert(overBudget && overBudget.includes('over the 1 KB size budget'), 'checkSizeBudget: content over budget is reported', overBudget);
+
+    // --- Key lifecycle metadata ---
+    console.log('\n' + colors.blue + '▶ key lifecycle' + colors.reset);
+
+    const { findExpiringKeys, diffDbs, formatReport } = mod;
+
+    try {
+        // certified-key.asc: primary key never expires, subkey expires after two years
+        globalThis.fetch = respondWith(certifiedKeyArmored);
+        const certifiedFingerprint = (await readKey({ armoredKey: certifiedKeyArmored })).getFingerprint().toUpperCase();
+        const { db } = await buildDb([{
+            distro: 'Lifecycle', label: 'Lifecycle Key', strategy: 'url', url: 'https://example.com/certified.asc',
+            fingerprint: certifiedFingerprint, supersededBy: otherKeyFingerprint.toLowerCase(),
+            officialUrl: 'https://example.com/verify', notes: 'The CD signing key is separate from the archive key', guidance: 'Compare with the signed release announcement'
+        }]);
+        const lifecycleEntry = db[certifiedFingerprint];
+        assert(/^\d{4}-\d{2}-\d{2}T/.test(lifecycleEntry.created), 'lifecycle: creation time recorded', lifecycleEntry.created);
+        assert(lifecycleEntry.expires === null && lifecycleEntry.revoked === false, 'lifecycle: non-expiring primary key has expires null');
+        assert(/^\d{4}-/.test(lifecycleEntry.subkeys[0].expires) && lifecycleEntry.subkeys[0].revoked === false, 'lifecycle: subkey expiry recorded', JSON.stringify(lifecycleEntry.subkeys[0]));
+        assert(lifecycleEntry.supersededBy === otherKeyFingerprint, 'lifecycle: supersededBy copied from the source');
+        assert(
+            lifecycleEntry.officialUrl === 'https://example.com/verify' &&
+            lifecycleEntry.notes === 'The CD signing key is separate from the archive key' &&
+            lifecycleEntry.guidance === 'Compare with the signed release announcement',
+            'buildDb: notes, official URL and guidance copied from the source'
+        );
+
+        globalThis.fetch = respondWith(updatedOtherKeyArmored);
+        const revokedDb = (await buildDb([{
+            distro: 'Revoked', label: 'Revoked Key', strategy: 'url', url: 'https://example.com/revoked.asc', fingerprint: otherKeyFingerprint
+        }])).db;
+        assert(revokedDb[otherKeyFingerprint].revoked === true, 'lifecycle: revocation recorded');
+    } catch (e) {
+        assert(false, 'lifecycle: buildDb records key lifecycle', e.message);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+
+    // Test: expiring keys are found within the warning window
+    const lifecycleDb = {
+        AAAA: { distro: 'Soon', label: 'Soon Key', fingerprint: 'AAAA', expires: '2026-03-01T00:00:00.000Z', revoked: false, subkeys: [] },
+        BBBB: { distro: 'Later', label: 'Later Key', fingerprint: 'BBBB', expires: '2027-01-01T00:00:00.000Z', revoked: false, subkeys: [
+            { fingerprint: 'CCCC', expires: '2025-12-01T00:00:00.000Z', revoked: false },
+            { fingerprint: 'DDDD', expires: '2026-01-15T00:00:00.000Z', revoked: true }
+        ] },
+        EEEE: { distro: 'Forever', label: 'Forever Key', fingerprint: 'EEEE', expires: null, revoked: false, subkeys: [] }
+    };
+    const expiring = findExpiringKeys(lifecycleDb, 90, new Date('2026-01-01T00:00:00Z'));
+    assert(expiring.length === 2, 'findExpiringKeys: finds keys expiring within the window', JSON.stringify(expiring));
+    assert(expiring.some(item => item.fingerprint === 'AAAA' && item.subkey === null && !item.isExpired), 'findExpiringKeys: primary key expiring soon');
+    assert(expiring.some(item => item.subkey === 'CCCC' && item.isExpired), 'findExpiringKeys: expired subkey flagged');
+    assert(!expiring.some(item => item.subkey === 'DDDD'), 'findExpiringKeys: revoked subkeys are skipped');
+
+    const expiringReport = formatReport(await diffDbs({}, {}), [], expiring);
+    assert(expiringReport.includes('| Expired or expiring soon | 2 |') && expiringReport.includes('**Soon — Soon Key**: `AAAA` expires 2026-03-01'), 'report: lists keys expiring soon', expiringReport);
+
+    // --- --check diff report ---
+    console.log('\n' + colors.blue + '▶ diffDbs / formatReport' + colors.reset);
+
+    const { readCommittedDb } = mod;
+
+    const entry = (distro, fingerprint, armoredKey) => ({
+        distro, label: `${distro} Release Key`, fingerprint, keyID: fingerprint.slice(-16).toLowerCase(), subkeys: [], armoredKey
+    });
+
+    // Test: the committed file round-trips through readCommittedDb
+    const committed = readCommittedDb(writeOutput(sampleDb, '2026-05-21T00:00:00Z'));
+    assert(Object.keys(committed).length === 2 && committed['ABCDEF1234567890ABCDEF1234567890ABCDEF12'].distro === 'TestDistro', 'readCommittedDb: reads the generated database back');
+
+    // Test: identical databases produce an empty, passing report
+    const baseDb = {
+        [testKeyFingerprint]: entry('Stable', testKeyFingerprint, testKeyArmored),
+        [otherKeyFingerprint]: entry('Rotating', otherKeyFingerprint, otherKeyArmored)
+    };
+    const unchanged = await diffDbs(baseDb, baseDb);
+    assert(!unchanged.securityRelevant, 'no changes: not security-relevant');
+    assert(formatReport(unchanged).includes('No changes to known keys'), 'no changes: report says so');
+
+    // Test: new subkey, expiry change and revocation on an existing key
+    const updated = await diffDbs(baseDb, {
+        [testKeyFingerprint]: baseDb[testKeyFingerprint],
+        [otherKeyFingerprint]: entry('Rotating', otherKeyFingerprint, updatedOtherKeyArmored)
+    });
+    assert(updated.newSubkeys.length === 1 && updated.newSubkeys[0].fingerprint === otherKeyFingerprint, 'updated key: new subkey reported', JSON.stringify(updated.newSubkeys));
+    assert(updated.newRevocations.length === 1 && updated.newRevocations[0].subkey === null, 'updated key: primary key revocation reported', JSON.stringify(updated.newRevocations));
+    assert(updated.securityRelevant, 'updated key: security-relevant');
+    assert(updated.added.length === 0 && updated.removed.length === 0, 'updated key: not reported as added or removed');
+
+    // Test: expiry change alone is informational
+    const { reformatKey, generateKey } = await import('openpgp');
+    const { privateKey } = await generateKey({ userIDs: [{ name: 'Expiry', email: 'expiry@example.com' }], format: 'object' });
+    const extended = await reformatKey({ privateKey, userIDs: [{ name: 'Expiry', email: 'expiry@example.com' }], keyExpirationTime: 365 * 86400, format: 'object' });
+    const expiryFingerprint = privateKey.getFingerprint().toUpperCase();
+    const expiryDiff = await diffDbs(
+        { [expiryFingerprint]: entry('Expiring', expiryFingerprint, privateKey.toPublic().armor()) },
+        { [expiryFingerprint]: entry('Expiring', expiryFingerprint, extended.publicKey.armor()) }
+    );
+    const primaryExpiry = expiryDiff.expiryChanged.find(change => change.subkey === null);
+    assert(primaryExpiry && primaryExpiry.from === 'never' && primaryExpiry.to !== 'never', 'expiry: change from never reported', JSON.stringify(expiryDiff.expiryChanged));
+    assert(!expiryDiff.securityRelevant, 'expiry: change alone is not security-relevant');
+
+    // Test: added, removed and replaced keys
+    const replacedDb = {
+        [otherKeyFingerprint]: entry('Stable', otherKeyFingerprint, otherKeyArmored),
+        ['ABCDEF1234567890ABCDEF1234567890ABCDEF12']: sampleDb['ABCDEF1234567890ABCDEF1234567890ABCDEF12']
+    };
+    const replaced = await diffDbs(baseDb, replacedDb);
+    assert(replaced.fingerprintChanged.length === 1 && replaced.fingerprintChanged[0].from === testKeyFingerprint && replaced.fingerprintChanged[0].to === otherKeyFingerprint, 'replaced key: fingerprint change reported');
+    assert(replaced.removed.length === 1 && replaced.removed[0].source === 'Rotating — Rotating Release Key', 'removed key: reported by source');
+    assert(replaced.added.length === 1 && replaced.added[0].source === 'TestDistro — TestDistro Release Key', 'added key: reported by source');
+    assert(replaced.securityRelevant, 'replaced key: security-relevant');
+
+    // Test: a source that failed to fetch is not reported as removed
+    const failedFetch = await diffDbs(baseDb, { [testKeyFingerprint]: baseDb[testKeyFingerprint] }, ['Rotating — Rotating Release Key']);
+    assert(failedFetch.removed.length === 0, 'fetch failure: source is not reported as removed');
+
+    // Test: markdown report lists each change
+    const report = formatReport(replaced, [{ distro: 'Broken', label: 'Broken Key', error: 'HTTP 404' }]);
+    assert(report.startsWith('## Known keys update report'), 'report: has a heading');
+    assert(report.includes('Security-relevant changes'), 'report: flags security-relevant changes');
+    assert(report.includes(`\`${testKeyFingerprint}\` → \`${otherKeyFingerprint}\``), 'report: shows old and new fingerprint');
+    assert(report.includes('| Keys removed | 1 |') && report.includes('| Keys added | 1 |'), 'report: summary table counts changes');
+    assert(report.includes('**Broken — Broken Key**: HTTP 404'), 'report: lists fetch failures');
+
     // Summary
     console.log('\n' + colors.cyan + '='.repeat(60) + colors.reset);
     console.log(`  Total: ${testsRun}  Passed: ${testsPassed}  Failed: ${testsFailed}`);
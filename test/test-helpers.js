@@ -220,6 +220,29 @@ async function retry(fn, maxAttempts = 3, delayMs = 1000) {
     }
 }
 
+/**
+ * Load a checksum manifest into the app, upload one file and wait for its result
+ * The file is a path or a Playwright payload ({ name, mimeType, buffer }).
+ * options.beforeShow runs in the page before the manifest is shown;
+ * options.acceptDialog confirms the prompt shown for unlisted file names.
+ */
+async function verifyChecksumFile(page, url, manifest, sourceName, file, options = {}) {
+    await page.goto(url, { waitUntil: 'networkidle' });
+    if (options.beforeShow) {
+        await page.evaluate(options.beforeShow);
+    }
+    await page.evaluate(([checksums, name]) => {
+        window.ChecksumVerifier.showChecksumSection(checksums, name);
+    }, [manifest, sourceName]);
+    await page.waitForFunction(() => document.getElementById('checksum-container').style.display !== 'none');
+    if (options.acceptDialog) {
+        page.once('dialog', dialog => dialog.accept());
+    }
+    await page.locator('#checksum-file').setInputFiles(file);
+    await page.waitForFunction(() => /CHECKSUM (VERIFIED|MISMATCH|MANIFEST ERROR)|ERROR/.test(document.getElementById('checksum-result').textContent));
+    return page.locator('#checksum-result').textContent();
+}
+
 /**
  * Clean up test files
  */
@@ -281,6 +304,7 @@ module.exports = {
     calculateFileHash,
     sleep,
     retry,
+    verifyChecksumFile,
     cleanupTestFiles,
     setupTestEnvironment
 };
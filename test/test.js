@@ -115,10 +115,20 @@ function testFileStructure() {
         'index.html',
         'app.js',
         'checksum-addon.js',
+        'fingerprint-formats.js',
+        'keyring-addon.js',
+        'tofu-addon.js',
+        'web-of-trust.js',
         'styles.css',
         'openpgp.min.js',
         'sha256.min.js',
         'hash-wasm-sha256.min.js',
+        'hash-wasm-sha1.min.js',
+        'hash-wasm-sha224.min.js',
+        'hash-wasm-sha384.min.js',
+        'hash-wasm-sha512.min.js',
+        'hash-wasm-md5.min.js',
+        'hash-wasm-blake2b.min.js',
         'test/e2e-tests.js'
     ];
 
@@ -138,6 +148,11 @@ function testHTMLStructure() {
     assert(html.includes("script-src 'self' 'wasm-unsafe-eval'"), 'CSP only allows local scripts plus wasm eval');
     assert(html.includes('id="app-status"'), 'Persistent status panel exists');
     assert(html.includes('id="theme-toggle"'), 'Theme toggle exists');
+    assert(html.includes('id="policy-profile"'), 'Policy profile selector exists');
+    assert(html.includes('id="expected-fingerprint"'), 'Expected fingerprint input exists');
+    assert(html.includes('id="keyring-enabled"'), 'Local keyring opt-in toggle exists');
+    assert(html.includes('id="tofu-enabled"'), 'TOFU tracking opt-in toggle exists');
+    assert(html.includes('id="ownertrust-file"'), 'Ownertrust import input exists');
     assert(html.includes('Verification starts automatically'), 'Header copy matches auto-verification flow');
     assert(html.includes('The verifier starts automatically'), 'Footer instructions match auto-verification flow');
     assert(html.includes('id="checksum-container"'), 'Checksum container exists');
@@ -148,6 +163,10 @@ function testJavaScriptStructure() {
 
     const appJs = readProjectFile('app.js');
     const checksumJs = readProjectFile('checksum-addon.js');
+    const fingerprintJs = readProjectFile('fingerprint-formats.js');
+    const keyringJs = readProjectFile('keyring-addon.js');
+    const tofuJs = readProjectFile('tofu-addon.js');
+    const webOfTrustJs = readProjectFile('web-of-trust.js');
 
     assert(appJs.includes('function escapeHTML'), 'Main app escapes untrusted HTML');
     assert(appJs.includes('function updateStatus'), 'Main app has explicit status updates');
@@ -155,11 +174,48 @@ function testJavaScriptStructure() {
     assert(appJs.includes("localStorage.getItem('gpg-verifier-theme')"), 'Main app loads saved theme preference');
     assert(appJs.includes('await signatureEntry.verified'), 'Main app verifies every returned signature');
     assert(!appJs.includes('error.htmlMessage'), 'Main app no longer renders raw htmlMessage content');
-
-    assert(checksumJs.includes('const SHA256_HEX_LENGTH = 64;'), 'Checksum module is explicit about SHA-256 support');
+    assert(appJs.includes('async function evaluateSignatures('), 'Main app reports every signature separately');
+    assert(!appJs.includes('signatures[0].verified'), 'Detached mode no longer checks only the first signature');
+    assert(appJs.includes('async function evaluateKeyValidity('), 'Main app checks key expiry and revocation at signing time and now');
+    assert(appJs.includes('function findSigningKey('), 'Main app matches signatures against primary keys and subkeys');
+    assert(!appJs.includes('getKeyIDs().some('), 'Signature matching goes through the subkey-aware lookup');
+    assert(appJs.includes('function auditAlgorithms('), 'Main app audits signature hash and key algorithms');
+    assert(appJs.includes('function applyPolicy('), 'Main app enforces the selected policy profile');
+    assert(appJs.includes("localStorage.setItem('gpg-verifier-policy'"), 'Policy profile persists in localStorage');
+    assert(appJs.includes('function normalizeFingerprint('), 'Main app normalizes pasted fingerprints');
+    assert(appJs.includes('function applyFingerprintPin('), 'Main app compares signing keys against the expected fingerprint');
+
+    assert(fingerprintJs.includes('window.FingerprintFormats = {'), 'Fingerprint formats module exports its renderers');
+    assert(fingerprintJs.includes("['aardvark', 'adroitness']") && fingerprintJs.includes("['Zulu', 'Yucatán']"), 'Fingerprint formats module embeds the full PGP word list');
+    assert(fingerprintJs.includes("QR_URI_PREFIX = 'OPENPGP4FPR:'"), 'Fingerprint QR codes use the OPENPGP4FPR URI scheme');
+    assert(keyringJs.includes('window.LocalKeyring = {'), 'Local keyring addon exports its API');
+    assert(keyringJs.includes("createIndex('keyIDs', 'keyIDs', { unique: false, multiEntry: true })"), 'Local keyring indexes every primary key and subkey ID');
+    assert(keyringJs.includes("localStorage.getItem(ENABLED_STORAGE_KEY) === 'true'"), 'Local keyring is opt-in');
+    assert(appJs.includes('async function offerKeyForSigner('), 'Main app selects saved keys before offering known keys');
+    assert(appJs.includes('function getIssuer('), 'Known key lookups use the issuer fingerprint when the signature carries one');
+    assert(tofuJs.includes('window.TofuTracker = {'), 'TOFU addon exports its API');
+    assert(tofuJs.includes("localStorage.getItem(ENABLED_STORAGE_KEY) === 'true'"), 'TOFU tracking is opt-in');
+    assert(appJs.includes('async function applyTofuHistory('), 'Main app records signer key history');
+    assert(appJs.includes('SIGNER KEY CHANGED'), 'Main app warns when a known signer uses a different key');
+    assert(webOfTrustJs.includes('window.WebOfTrust = {'), 'Web of trust module exports its API');
+    assert(webOfTrustJs.includes('function parseOwnertrust('), 'Web of trust module parses gpg ownertrust exports');
+    assert(webOfTrustJs.includes('MARGINALS_NEEDED = 3') && webOfTrustJs.includes('MAX_CERT_DEPTH = 5'), 'Web of trust follows GnuPG default trust model settings');
+    assert(appJs.includes('async function applyWebOfTrust('), 'Main app evaluates certification paths for signers');
+
+    assert(checksumJs.includes('const HASH_ALGORITHMS = {'), 'Checksum module lists its supported algorithms');
+    for (const factory of ['createMD5', 'createSHA1', 'createSHA224', 'createSHA256', 'createSHA384', 'createSHA512', 'createBLAKE2b']) {
+        assert(checksumJs.includes(`factory: '${factory}'`), `Checksum module hashes with hashwasm.${factory}`);
+    }
     assert(checksumJs.includes('function escapeHTML'), 'Checksum module escapes untrusted HTML');
     assert(checksumJs.includes('filename: hash format'), 'Checksum parser supports filename-colon format');
-    assert(!checksumJs.includes('SHA512|SHA1|MD5'), 'Checksum parser no longer advertises unsupported algorithms');
+    assert(checksumJs.includes('function getAlgorithmHint(sourceName)'), 'Checksum parser reads the algorithm from checksum file names');
+    assert(checksumJs.includes('function getWeakAlgorithmWarning(algorithm)'), 'Checksum module warns about MD5 and SHA-1');
+    assert(checksumJs.includes('function renderDigestResults(results)'), 'Checksum results report every digest listed for a file');
+    assert(checksumJs.includes('async function calculateFileHashes(file, algorithms, progressCallback)'), 'Checksum module hashes several algorithms in one read pass');
+    assert(checksumJs.includes('function normalizeChecksumPath(filename)'), 'Checksum parser keeps relative paths');
+    assert(checksumJs.includes('function findChecksumCandidates(file)'), 'Checksum module matches uploads by path and basename');
+    assert(checksumJs.includes('CHECKSUM MANIFEST ERROR'), 'Checksum module reports conflicting duplicate entries');
+    assert(appJs.includes('showChecksumSection(verifiedData, checksumFile ? checksumFile.name : null)'), 'Main app passes the checksum file name to the checksum parser');
 }
 
 function testCSSStructure() {
@@ -0,0 +1,217 @@
+/**
+ * Trust-On-First-Use Addon for GPG Signature Verifier
+ * Records which key fingerprints have made valid signatures for each signer
+ * identity, so a known signer that suddenly signs with a different key can be
+ * flagged. History is kept in this browser's IndexedDB and only when enabled.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'gpg-verifier-tofu';
+    const DB_VERSION = 1;
+    const SIGNER_STORE = 'signers';
+    const ENABLED_STORAGE_KEY = 'gpg-verifier-tofu-enabled';
+
+    const toggleEl = document.getElementById('tofu-enabled');
+
+    let dbPromise = null;
+
+    // Signatures already counted this session, so re-verifying the same file
+    // (e.g. after a policy change) does not inflate the counts
+    const recordedThisSession = new Set();
+
+    /**
+     * Checks whether the user has opted in to TOFU tracking
+     * @returns {boolean} True if enabled
+     */
+    function isEnabled() {
+        try {
+            return localStorage.getItem(ENABLED_STORAGE_KEY) === 'true';
+        } catch (error) {
+            console.warn('Unable to read TOFU preference:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Persists the TOFU opt-in
+     * @param {boolean} enabled - Whether tracking is enabled
+     */
+    function setEnabled(enabled) {
+        try {
+            localStorage.setItem(ENABLED_STORAGE_KEY, String(enabled));
+        } catch (error) {
+            console.warn('Unable to persist TOFU preference:', error);
+        }
+        if (toggleEl) {
+            toggleEl.checked = enabled;
+        }
+    }
+
+    /**
+     * Opens (and on first use creates) the TOFU database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SIGNER_STORE, { keyPath: 'identity' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Runs a single request against the signer store
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} createRequest - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} The request result once the transaction completes
+     */
+    async function runRequest(mode, createRequest) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(SIGNER_STORE, mode);
+            const request = createRequest(transaction.objectStore(SIGNER_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('TOFU transaction aborted'));
+        });
+    }
+
+    /**
+     * Reduces user IDs to the identities history is tracked under
+     * The email address is used when present, so a renamed UID with the same
+     * address is still the same signer.
+     * @param {Array<string>} userIDs - User ID strings of the signing key
+     * @returns {Array<string>} Unique lowercase identities
+     */
+    function getIdentities(userIDs) {
+        const identities = userIDs.map(userID => {
+            const email = /<([^<>\s]+@[^<>\s]+)>/.exec(userID);
+            return (email ? email[1] : userID).trim().toLowerCase();
+        }).filter(Boolean);
+        return [...new Set(identities)];
+    }
+
+    /**
+     * Gets the stored history for an identity
+     * @param {string} identity - Identity from getIdentities()
+     * @returns {Promise<object|null>} Record or null
+     */
+    async function getHistory(identity) {
+        const record = await runRequest('readonly', store => store.get(identity));
+        return record || null;
+    }
+
+    /**
+     * Records a valid signature and reports the history of each signer identity
+     * Keys previously seen for the identity, and not since replaced through
+     * acceptKeyChange(), are returned as conflicts.
+     * @param {object} sighting - { userIDs: Array<string>, fingerprint: string, signatureCreated: Date|null }
+     * @returns {Promise<Array<object>>} Per identity: { identity, fingerprint, firstSeen, lastSeen (before this signature), count, isFirstUse, conflicts }
+     */
+    async function recordSignature(sighting) {
+        const fingerprint = sighting.fingerprint.toUpperCase();
+        const signatureTime = sighting.signatureCreated ? new Date(sighting.signatureCreated).toISOString() : '';
+        const results = [];
+
+        for (const identity of getIdentities(sighting.userIDs)) {
+            const sessionKey = `${identity}|${fingerprint}|${signatureTime}`;
+            const record = (await getHistory(identity)) || { identity, keys: {} };
+            const isFirstUse = Object.keys(record.keys).length === 0;
+            const previousLastSeen = record.keys[fingerprint] ? record.keys[fingerprint].lastSeen : null;
+
+            if (!recordedThisSession.has(sessionKey)) {
+                const now = new Date().toISOString();
+                const entry = record.keys[fingerprint] || { firstSeen: now, lastSeen: now, count: 0, supersededAt: null };
+                entry.lastSeen = now;
+                entry.count += 1;
+                record.keys[fingerprint] = entry;
+                await runRequest('readwrite', store => store.put(record));
+                recordedThisSession.add(sessionKey);
+            }
+
+            const current = record.keys[fingerprint];
+            const conflicts = Object.entries(record.keys)
+                .filter(([otherFingerprint, entry]) => otherFingerprint !== fingerprint && !entry.supersededAt)
+                .map(([otherFingerprint, entry]) => ({ fingerprint: otherFingerprint, ...entry }));
+
+            results.push({
+                identity,
+                fingerprint,
+                firstSeen: current.firstSeen,
+                lastSeen: previousLastSeen,
+                count: current.count,
+                isFirstUse,
+                conflicts
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Accepts a new key for an identity, marking every other recorded key as replaced
+     * @param {string} identity - Identity from getIdentities()
+     * @param {string} fingerprint - Fingerprint of the key to keep trusting
+     * @returns {Promise<void>}
+     */
+    async function acceptKeyChange(identity, fingerprint) {
+        const record = await getHistory(identity);
+        if (!record) return;
+
+        const now = new Date().toISOString();
+        const keep = fingerprint.toUpperCase();
+        Object.entries(record.keys).forEach(([otherFingerprint, entry]) => {
+            if (otherFingerprint === keep) {
+                entry.supersededAt = null;
+            } else if (!entry.supersededAt) {
+                entry.supersededAt = now;
+            }
+        });
+        await runRequest('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Deletes all recorded TOFU history
+     * @returns {Promise<void>}
+     */
+    async function clearHistory() {
+        await runRequest('readwrite', store => store.clear());
+        recordedThisSession.clear();
+    }
+
+    if (toggleEl) {
+        toggleEl.checked = isEnabled();
+        toggleEl.addEventListener('change', (event) => setEnabled(event.target.checked));
+    }
+
+    // Export functions for use by main app
+    window.TofuTracker = {
+        isEnabled,
+        getIdentities,
+        getHistory,
+        recordSignature,
+        acceptKeyChange,
+        clearHistory
+    };
+
+})();
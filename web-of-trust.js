@@ -0,0 +1,261 @@
+/**
+ * Web of Trust for GPG Signature Verifier
+ * Parses GnuPG ownertrust exports and looks for a certification path from a
+ * trusted key to a signing key, using the third-party certifications carried
+ * by the keys loaded in this session or saved in the local keyring.
+ *
+ * Validity follows GnuPG's classic PGP trust model with its default settings:
+ * a key is valid if it is ultimately trusted, or certified by one valid fully
+ * trusted key, or by three valid marginally trusted keys, at most five
+ * certifications away from an ultimately trusted key.
+ *
+ * @version 1.0.0
+ */
+
+(function() {
+    'use strict';
+
+    // Ownertrust values written by `gpg --export-ownertrust`
+    const OWNERTRUST = {
+        UNKNOWN: 0,
+        EXPIRED: 1,
+        UNDEFINED: 2,
+        NEVER: 3,
+        MARGINAL: 4,
+        FULL: 5,
+        ULTIMATE: 6
+    };
+
+    const OWNERTRUST_LABELS = {
+        [OWNERTRUST.UNKNOWN]: 'unknown',
+        [OWNERTRUST.EXPIRED]: 'expired',
+        [OWNERTRUST.UNDEFINED]: 'undefined',
+        [OWNERTRUST.NEVER]: 'never',
+        [OWNERTRUST.MARGINAL]: 'marginal',
+        [OWNERTRUST.FULL]: 'full',
+        [OWNERTRUST.ULTIMATE]: 'ultimate'
+    };
+
+    // Low bits hold the trust level; higher bits are GnuPG flags (e.g. disabled)
+    const OWNERTRUST_MASK = 0x0f;
+
+    const COMPLETES_NEEDED = 1;
+    const MARGINALS_NEEDED = 3;
+    const MAX_CERT_DEPTH = 5;
+
+    /**
+     * Parses a `gpg --export-ownertrust` file
+     * Lines are "FINGERPRINT:VALUE:"; blank lines and # comments are ignored.
+     * @param {string} text - File contents
+     * @returns {{entries: Map<string, number>, errors: Array<string>}} Trust level by uppercase fingerprint, plus skipped-line messages
+     * @throws {Error} If no valid entries are found
+     */
+    function parseOwnertrust(text) {
+        const entries = new Map();
+        const errors = [];
+
+        String(text).split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = /^([0-9A-Fa-f]{40}|[0-9A-Fa-f]{64}):(\d+):?$/.exec(line);
+            if (!match) {
+                errors.push(`Line ${index + 1}: expected FINGERPRINT:VALUE:`);
+                return;
+            }
+
+            const level = parseInt(match[2], 10) & OWNERTRUST_MASK;
+            if (!(level in OWNERTRUST_LABELS)) {
+                errors.push(`Line ${index + 1}: unknown trust value ${match[2]}`);
+                return;
+            }
+            entries.set(match[1].toUpperCase(), level);
+        });
+
+        if (entries.size === 0) {
+            throw new Error('No ownertrust entries found. Export them with: gpg --export-ownertrust > ownertrust.txt');
+        }
+
+        return { entries, errors };
+    }
+
+    /**
+     * Counts ownertrust entries that can act as introducers, by level
+     * @param {Map<string, number>} entries - Entries from parseOwnertrust()
+     * @returns {{ultimate: number, full: number, marginal: number}} Counts
+     */
+    function summarizeOwnertrust(entries) {
+        const counts = { ultimate: 0, full: 0, marginal: 0 };
+        entries.forEach(level => {
+            if (level === OWNERTRUST.ULTIMATE) counts.ultimate++;
+            else if (level === OWNERTRUST.FULL) counts.full++;
+            else if (level === OWNERTRUST.MARGINAL) counts.marginal++;
+        });
+        return counts;
+    }
+
+    /**
+     * Builds the pool of candidate keys, one entry per primary fingerprint
+     * @param {Array<object>} keys - OpenPGP.js public keys
+     * @param {Map<string, number>} ownertrust - Entries from parseOwnertrust()
+     * @param {Date} date - Date to check key validity at
+     * @returns {Promise<Map<string, object>>} Pool entries by fingerprint
+     */
+    async function buildPool(keys, ownertrust, date) {
+        const pool = new Map();
+
+        for (const key of keys) {
+            const fingerprint = key.getFingerprint().toUpperCase();
+            if (pool.has(fingerprint)) continue;
+
+            let isKeyValid = true;
+            try {
+                await key.verifyPrimaryKey(date);
+            } catch (error) {
+                isKeyValid = false;
+            }
+
+            pool.set(fingerprint, {
+                key,
+                fingerprint,
+                keyID: key.getKeyID().toHex().toLowerCase(),
+                label: key.getUserIDs()[0] || fingerprint,
+                trust: ownertrust.has(fingerprint) ? ownertrust.get(fingerprint) : OWNERTRUST.UNKNOWN,
+                isKeyValid
+            });
+        }
+
+        return pool;
+    }
+
+    /**
+     * Collects verified third-party certifications between pool keys
+     * @param {Map<string, object>} pool - Entries from buildPool()
+     * @param {Date} date - Date to verify certifications at
+     * @returns {Promise<Map<string, Set<string>>>} Certifier fingerprints by certified fingerprint
+     */
+    async function collectCertifications(pool, date) {
+        const byKeyID = new Map([...pool.values()].map(entry => [entry.keyID, entry]));
+        const certifiedBy = new Map();
+
+        for (const target of pool.values()) {
+            const certifiers = new Set();
+
+            for (const user of target.key.users) {
+                for (const certification of user.otherCertifications) {
+                    const issuer = certification.issuerKeyID && byKeyID.get(certification.issuerKeyID.toHex().toLowerCase());
+                    if (!issuer || issuer === target || certifiers.has(issuer.fingerprint)) continue;
+
+                    try {
+                        if (await user.verifyCertificate(certification, [issuer.key], date)) {
+                            certifiers.add(issuer.fingerprint);
+                        }
+                    } catch (error) {
+                        // Invalid or revoked certifications simply do not count
+                    }
+                }
+            }
+
+            certifiedBy.set(target.fingerprint, certifiers);
+        }
+
+        return certifiedBy;
+    }
+
+    /**
+     * Computes key validity layer by layer from the ultimately trusted keys
+     * @param {Map<string, object>} pool - Entries from buildPool()
+     * @param {Map<string, Set<string>>} certifiedBy - Result of collectCertifications()
+     * @returns {Map<string, {depth: number, via: Array<string>}>} Valid keys and the introducers that made them valid
+     */
+    function computeValidity(pool, certifiedBy) {
+        const valid = new Map();
+
+        pool.forEach(entry => {
+            if (entry.isKeyValid && entry.trust === OWNERTRUST.ULTIMATE) {
+                valid.set(entry.fingerprint, { depth: 0, via: [] });
+            }
+        });
+
+        for (let depth = 1; depth <= MAX_CERT_DEPTH; depth++) {
+            const added = [];
+
+            pool.forEach(entry => {
+                if (!entry.isKeyValid || valid.has(entry.fingerprint)) return;
+
+                const introducers = [...certifiedBy.get(entry.fingerprint)].filter(fingerprint =>
+                    valid.has(fingerprint) &&
+                    valid.get(fingerprint).depth < depth &&
+                    pool.get(fingerprint).trust >= OWNERTRUST.MARGINAL
+                );
+                const complete = introducers.filter(fingerprint => pool.get(fingerprint).trust >= OWNERTRUST.FULL);
+                const marginal = introducers.filter(fingerprint => pool.get(fingerprint).trust === OWNERTRUST.MARGINAL);
+
+                if (complete.length >= COMPLETES_NEEDED) {
+                    added.push([entry.fingerprint, { depth, via: complete.slice(0, COMPLETES_NEEDED) }]);
+                } else if (marginal.length >= MARGINALS_NEEDED) {
+                    added.push([entry.fingerprint, { depth, via: marginal.slice(0, MARGINALS_NEEDED) }]);
+                }
+            });
+
+            if (added.length === 0) break;
+            added.forEach(([fingerprint, validity]) => valid.set(fingerprint, validity));
+        }
+
+        return valid;
+    }
+
+    /**
+     * Describes a pool entry for display
+     * @param {object} entry - Entry from buildPool()
+     * @returns {{fingerprint: string, label: string, trust: string}} Display fields
+     */
+    function describeEntry(entry) {
+        return {
+            fingerprint: entry.fingerprint,
+            label: entry.label,
+            trust: OWNERTRUST_LABELS[entry.trust]
+        };
+    }
+
+    /**
+     * Finds a certification path from a trusted key to the signing key
+     * @param {object} signerKey - OpenPGP.js primary key that made the signature
+     * @param {Array<object>} keys - Other keys available (session and keyring)
+     * @param {Map<string, number>} ownertrust - Entries from parseOwnertrust()
+     * @param {Date} [date] - Date to evaluate at (defaults to now)
+     * @returns {Promise<object>} { valid, path: Array<Array<{fingerprint, label, trust}>>, certifiers: Array<{fingerprint, label, trust}> }
+     */
+    async function findCertificationPath(signerKey, keys, ownertrust, date = new Date()) {
+        const pool = await buildPool([signerKey, ...keys], ownertrust, date);
+        const certifiedBy = await collectCertifications(pool, date);
+        const valid = computeValidity(pool, certifiedBy);
+
+        const signerFingerprint = signerKey.getFingerprint().toUpperCase();
+        const certifiers = [...certifiedBy.get(signerFingerprint)].map(fingerprint => describeEntry(pool.get(fingerprint)));
+
+        if (!valid.has(signerFingerprint)) {
+            return { valid: false, path: [], certifiers };
+        }
+
+        // Walk back to an ultimately trusted key; for a set of marginal
+        // introducers the path continues through the first of them
+        const path = [[describeEntry(pool.get(signerFingerprint))]];
+        let via = valid.get(signerFingerprint).via;
+        while (via.length > 0) {
+            path.unshift(via.map(fingerprint => describeEntry(pool.get(fingerprint))));
+            via = valid.get(via[0]).via;
+        }
+
+        return { valid: true, path, certifiers };
+    }
+
+    // Export functions for use by main app
+    window.WebOfTrust = {
+        OWNERTRUST,
+        parseOwnertrust,
+        summarizeOwnertrust,
+        findCertificationPath
+    };
+
+})();